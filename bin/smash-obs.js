@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+/**
+ * Smash OBS API - Command-line client
+ * Made by: Julio Rubio
+ *
+ * Talks to a running server over Socket.IO, exactly like the control UI:
+ * list matches, send actions, tail a match live or replay a script of
+ * actions (rehearsals, debugging a stuck setup without the tablet).
+ *
+ *   npx smash-obs matches
+ *   npx smash-obs ban SET1 battlefield
+ *   npx smash-obs tail SET1
+ *   npx smash-obs replay SET1 rehearsal.txt --delay 800
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { io } = require('socket.io-client');
+
+const DEFAULT_URL = 'http://localhost:3000';
+const RESULT_TIMEOUT_MS = 5000;
+
+const USAGE = `Usage: smash-obs <command> [args] [options]
+
+Commands:
+  matches                        List live matches (arbiter)
+  create <match> [game]          Create a match, optionally for a game (arbiter)
+  state <match>                  Print the current state
+  tail <match>                   Follow state:update and event:push until Ctrl+C
+  replay <match> <file>          Run the actions in a script file, one per line
+  action <match> <TYPE> [k=v...] Send any action, e.g. action SET1 SET_DSR dsr=full
+  <shortcut> <match> [args]      Send one action:
+    ban <stage> · pick <stage> · undo · redo · jump <index> · reset · new-set
+    force · mode <G1|G2PLUS> · game <id> · ruleset <id> · bestof <n> · result <P1|P2>
+    swap · coin · rps <P1|P2> <rock|paper|scissors> · striker <P1|P2>
+
+Options:
+  --url <url>      Server URL (SMASH_OBS_URL, default ${DEFAULT_URL})
+  --token <token>  Access token (SMASH_OBS_TOKEN)
+  --seat <p1|p2>   Act as that player's striking device
+  --json           Print raw JSON
+  --delay <ms>     Pause between replayed actions (default 0)
+  --continue       Keep replaying after a failed action
+
+Script lines look like the shortcuts without the match ("ban battlefield",
+"action SET_DSR dsr=full"), a JSON action ({"type": "UNDO"}), "wait <ms>"
+or a "#" comment.`;
+
+// Shortcut -> action type and the positional fields it takes (strings,
+// except the NUMERIC_FIELDS)
+const SHORTCUTS = {
+  ban: { type: 'BAN', args: ['stageId'] },
+  pick: { type: 'PICK', args: ['stageId'] },
+  undo: { type: 'UNDO', args: [] },
+  redo: { type: 'REDO', args: [] },
+  jump: { type: 'JUMP_TO', args: ['index'] },
+  reset: { type: 'RESET', args: [] },
+  'new-set': { type: 'RESET_SET', args: [] },
+  force: { type: 'FORCE_NEXT_PHASE', args: [] },
+  mode: { type: 'SET_MODE', args: ['mode'] },
+  game: { type: 'SET_VIDEOGAME', args: ['videogame'] },
+  ruleset: { type: 'SET_RULESET', args: ['ruleset'] },
+  bestof: { type: 'SET_BEST_OF', args: ['bestOf'] },
+  result: { type: 'REPORT_RESULT', args: ['winner'] },
+  swap: { type: 'SWAP_ROLES', args: [] },
+  coin: { type: 'COIN_FLIP', args: [] },
+  rps: { type: 'RPS', args: ['player', 'choice'] },
+  striker: { type: 'CHOOSE_STRIKER', args: ['player'] }
+};
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+// Shortcut fields sent as numbers; ids and names stay strings ("ban 12")
+const NUMERIC_FIELDS = ['index', 'bestOf'];
+
+// key=value fields: "3" -> 3, "null" -> null, '{"seconds":30}' -> object,
+// anything else stays a string
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Turns "ban battlefield" / "action SET_DSR dsr=full" (already split into
+ * words) into an action payload. Throws on unknown commands or missing args.
+ */
+function parseAction([command, ...args]) {
+  if (command === 'action') {
+    const [type, ...fields] = args;
+    if (!type) {
+      throw new Error('action needs a TYPE');
+    }
+
+    const action = { type: type.toUpperCase() };
+    for (const field of fields) {
+      const eq = field.indexOf('=');
+      if (eq < 1) {
+        throw new Error(`Expected key=value, got: ${field}`);
+      }
+      action[field.slice(0, eq)] = parseValue(field.slice(eq + 1));
+    }
+    return action;
+  }
+
+  const shortcut = SHORTCUTS[command];
+  if (!shortcut) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  if (args.length < shortcut.args.length) {
+    throw new Error(`${command} needs: ${shortcut.args.join(' ')}`);
+  }
+
+  const action = { type: shortcut.type };
+  shortcut.args.forEach((field, i) => {
+    if (!NUMERIC_FIELDS.includes(field)) {
+      action[field] = args[i];
+      return;
+    }
+    action[field] = Number(args[i]);
+    if (!Number.isFinite(action[field])) {
+      throw new Error(`${command} needs a number, got: ${args[i]}`);
+    }
+  });
+  return action;
+}
+
+// One script line -> { wait } | { action } | null (blank or comment)
+function parseScriptLine(line) {
+  const text = line.trim();
+  if (!text || text.startsWith('#')) {
+    return null;
+  }
+  if (text.startsWith('{')) {
+    return { action: JSON.parse(text) };
+  }
+
+  const words = text.split(/\s+/);
+  if (words[0] === 'wait') {
+    const ms = Number(words[1]);
+    if (!Number.isFinite(ms) || ms < 0) {
+      throw new Error(`wait needs milliseconds, got: ${words[1]}`);
+    }
+    return { wait: ms };
+  }
+  return { action: parseAction(words) };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function time() {
+  return new Date().toLocaleTimeString();
+}
+
+function formatState(state) {
+  const { matchId, videogame, mode, phase, bans, pick, set, players, actingPlayer } = state;
+  const tag = slot => players[slot].tag || slot;
+  const actor = actingPlayer ? ` (${tag(actingPlayer)})` : '';
+  const score = `${tag('P1')} ${set.score.P1}-${set.score.P2} ${tag('P2')}`;
+  const game = set.winner ? `set won by ${tag(set.winner)}` : `Game ${set.game}`;
+
+  return `[${matchId}] ${videogame} · ${game} · ${score} · Bo${set.bestOf} · ${mode} ${phase}${actor} · bans: ${bans.join(', ') || '—'} · pick: ${pick || '—'}`;
+}
+
+function formatEvent(event) {
+  const { type, ...fields } = event;
+  delete fields.ts;
+  const details = Object.entries(fields).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  return `🎯 ${type} ${details.join(' ')}`;
+}
+
+function formatMatch(match) {
+  const { matchId, videogame, players, set, mode, phase, clients } = match;
+  const score = set.winner ? `final ${set.score.P1}-${set.score.P2}` : `Game ${set.game} · ${set.score.P1}-${set.score.P2}`;
+  return `${matchId.padEnd(16)} ${(players.P1 || 'P1')} vs ${(players.P2 || 'P2')} · ${score} Bo${set.bestOf} · ${videogame} ${mode} ${phase} · 🎮 ${clients.control} 📺 ${clients.overlay}`;
+}
+
+// ============================================================================
+// SOCKET.IO
+// ============================================================================
+
+function connect({ url, token, seat }) {
+  const socket = io(url, { auth: { token, seat } });
+
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', (err) => {
+      socket.close();
+      reject(new Error(`Cannot connect to ${url}: ${err.message}`));
+    });
+  });
+}
+
+// Resolves with the first `event` payload, or rejects after RESULT_TIMEOUT_MS
+function waitFor(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`No ${event} from the server`));
+    }, RESULT_TIMEOUT_MS);
+
+    function onEvent(payload) {
+      clearTimeout(timer);
+      resolve(payload);
+    }
+    socket.once(event, onEvent);
+  });
+}
+
+// Same payload the control sends; the answer comes back as the acknowledgement
+async function sendAction(socket, matchId, action) {
+  try {
+    return await socket.timeout(RESULT_TIMEOUT_MS).emitWithAck('action', { ...action, matchId });
+  } catch {
+    throw new Error(`No answer to ${action.type} from the server`);
+  }
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function listMatches(socket, options) {
+  socket.emit('admin:join');
+  const list = await Promise.race([
+    waitFor(socket, 'matches:update'),
+    waitFor(socket, 'admin:error').then(({ error }) => { throw new Error(error); })
+  ]);
+
+  if (options.json) {
+    console.log(JSON.stringify(list, null, 2));
+  } else if (list.length === 0) {
+    console.log('No live matches');
+  } else {
+    list.forEach(match => console.log(formatMatch(match)));
+  }
+}
+
+async function createMatch(socket, matchId, videogame) {
+  let result;
+  try {
+    result = await socket.timeout(RESULT_TIMEOUT_MS).emitWithAck('match:create', { matchId, videogame });
+  } catch {
+    throw new Error('No answer to create from the server');
+  }
+  if (!result.ok) {
+    throw new Error(result.error);
+  }
+  console.log(`✅ Created ${result.matchId}`);
+}
+
+async function printState(socket, matchId, options) {
+  socket.emit('join', { matchId, client: 'cli' });
+  const state = await Promise.race([
+    waitFor(socket, 'state:update'),
+    waitFor(socket, 'match:notFound').then(() => { throw new Error(`Match not found: ${matchId}`); })
+  ]);
+  console.log(options.json ? JSON.stringify(state, null, 2) : formatState(state));
+}
+
+// Runs until Ctrl+C; Socket.IO reconnects (and re-joins) on its own
+function tail(socket, matchId, options) {
+  const print = (text, payload) => console.log(options.json ? JSON.stringify(payload) : `${time()} ${text}`);
+
+  socket.on('connect', () => {
+    console.error(`${time()} 🔌 Reconnected`);
+    socket.emit('join', { matchId, client: 'cli' });
+  });
+  socket.on('disconnect', () => console.error(`${time()} ❌ Disconnected`));
+  socket.on('match:notFound', () => console.error(`${time()} ⚠️  Match not found: ${matchId} (waiting for it to be created)`));
+  socket.on('match:deleted', () => console.error(`${time()} 🗑️  Match deleted`));
+  socket.on('state:update', state => print(formatState(state), { type: 'state:update', state }));
+  socket.on('event:push', event => print(formatEvent(event), { type: 'event:push', event }));
+
+  socket.emit('join', { matchId, client: 'cli' });
+  console.error(`👀 Tailing ${matchId} (Ctrl+C to stop)`);
+  return new Promise(() => {});
+}
+
+async function runOne(socket, matchId, action) {
+  const result = await sendAction(socket, matchId, action);
+  console.log(result.ok ? `✅ ${action.type}` : `❌ ${action.type}: ${result.error} (${result.code})`);
+  return result.ok;
+}
+
+async function replay(socket, matchId, file, options) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const delay = Number(options.delay) || 0;
+  let failed = 0;
+
+  // Parse everything first so a typo on line 40 doesn't stop a rehearsal halfway
+  const steps = lines.map((line, i) => {
+    try {
+      return parseScriptLine(line);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: ${err.message}`);
+    }
+  });
+
+  for (const [i, step] of steps.entries()) {
+    if (!step) continue;
+
+    if (step.wait !== undefined) {
+      await sleep(step.wait);
+      continue;
+    }
+
+    process.stdout.write(`${file}:${i + 1} `);
+    if (!await runOne(socket, matchId, step.action)) {
+      failed++;
+      if (!options.continue) {
+        break;
+      }
+    }
+    if (delay) {
+      await sleep(delay);
+    }
+  }
+
+  return failed === 0;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: 'string', default: process.env.SMASH_OBS_URL || DEFAULT_URL },
+      token: { type: 'string', default: process.env.SMASH_OBS_TOKEN },
+      seat: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      delay: { type: 'string' },
+      continue: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, matchId, ...args] = positionals;
+  if (!command || options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== 'matches' && !matchId) {
+    throw new Error(`${command} needs a match ID`);
+  }
+
+  // Validate before connecting
+  const action = ['matches', 'create', 'state', 'tail', 'replay'].includes(command)
+    ? null
+    : parseAction([command, ...args]);
+  if (command === 'replay' && !args[0]) {
+    throw new Error('replay needs a script file');
+  }
+
+  const socket = await connect(options);
+  try {
+    switch (command) {
+      case 'matches':
+        await listMatches(socket, options);
+        return 0;
+      case 'create':
+        await createMatch(socket, matchId, args[0]);
+        return 0;
+      case 'state':
+        await printState(socket, matchId, options);
+        return 0;
+      case 'tail':
+        return await tail(socket, matchId, options);
+      case 'replay':
+        return await replay(socket, matchId, args[0], options) ? 0 : 1;
+      default:
+        return await runOne(socket, matchId, action) ? 0 : 1;
+    }
+  } finally {
+    socket.close();
+  }
+}
+
+main().then(
+  code => process.exit(code),
+  err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+);
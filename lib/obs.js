@@ -0,0 +1,136 @@
+/**
+ * Smash OBS API - obs-websocket v5 client
+ * Made by: Julio Rubio
+ *
+ * Minimal client for the obs-websocket v5 protocol: Hello/Identify handshake
+ * (with password auth) and request/response calls. Connects lazily on the
+ * first call and again on the next call after the connection drops, so OBS
+ * can be started or restarted at any time during the event.
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const OP = {
+  HELLO: 0,
+  IDENTIFY: 1,
+  IDENTIFIED: 2,
+  REQUEST: 6,
+  REQUEST_RESPONSE: 7
+};
+const RPC_VERSION = 1;
+const CONNECT_TIMEOUT_MS = 5000;
+const REQUEST_TIMEOUT_MS = 5000;
+
+function sha256Base64(text) {
+  return crypto.createHash('sha256').update(text).digest('base64');
+}
+
+// base64(sha256(base64(sha256(password + salt)) + challenge))
+function createAuthentication(password, { salt, challenge }) {
+  return sha256Base64(sha256Base64(password + salt) + challenge);
+}
+
+function createObsClient({ url, password = '' }) {
+  let socket = null;
+  let connecting = null;
+  let nextRequestId = 1;
+  const pending = new Map();
+
+  function rejectPending(err) {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    pending.clear();
+  }
+
+  function connect() {
+    if (connecting) {
+      return connecting;
+    }
+
+    connecting = new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+
+      // Covers a host that never answers and an OBS that never identifies
+      const timer = setTimeout(() => {
+        reject(new Error(`OBS connection to ${url} timed out`));
+        ws.terminate();
+      }, CONNECT_TIMEOUT_MS);
+
+      ws.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch {
+          return;
+        }
+        const { op, d } = message;
+
+        if (op === OP.HELLO) {
+          const identify = { rpcVersion: RPC_VERSION, eventSubscriptions: 0 };
+          if (d.authentication) {
+            identify.authentication = createAuthentication(password, d.authentication);
+          }
+          ws.send(JSON.stringify({ op: OP.IDENTIFY, d: identify }));
+        } else if (op === OP.IDENTIFIED) {
+          clearTimeout(timer);
+          socket = ws;
+          resolve();
+        } else if (op === OP.REQUEST_RESPONSE) {
+          const request = pending.get(d.requestId);
+          if (!request) return;
+
+          pending.delete(d.requestId);
+          clearTimeout(request.timer);
+          if (d.requestStatus.result) {
+            request.resolve(d.responseData || {});
+          } else {
+            const reason = d.requestStatus.comment || `code ${d.requestStatus.code}`;
+            request.reject(new Error(`${d.requestType} failed: ${reason}`));
+          }
+        }
+      });
+
+      // 'error' is always followed by 'close', which does the cleanup
+      ws.on('error', () => {});
+
+      ws.on('close', (code) => {
+        clearTimeout(timer);
+        const err = new Error(`OBS connection closed (${code})`);
+        socket = null;
+        connecting = null;
+        rejectPending(err);
+        reject(err);
+      });
+    });
+
+    return connecting;
+  }
+
+  async function call(requestType, requestData = {}) {
+    await connect();
+
+    const requestId = String(nextRequestId++);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        reject(new Error(`${requestType} timed out`));
+      }, REQUEST_TIMEOUT_MS);
+
+      pending.set(requestId, { resolve, reject, timer });
+      socket.send(JSON.stringify({ op: OP.REQUEST, d: { requestType, requestId, requestData } }));
+    });
+  }
+
+  function close() {
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  return { call, close };
+}
+
+module.exports = { createObsClient, createAuthentication };
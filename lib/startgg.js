@@ -0,0 +1,192 @@
+/**
+ * Smash OBS API - start.gg GraphQL client
+ * Made by: Julio Rubio
+ *
+ * Minimal client for the start.gg API: list an event's sets, read one set,
+ * read a videogame's stage list and report a finished set. The base URL is
+ * configurable so it can be pointed at a local mock GraphQL server.
+ */
+
+const DEFAULT_URL = 'https://api.start.gg/gql/alpha';
+const SETS_PER_PAGE = 50;
+const MAX_SET_PAGES = 20;          // 1000 sets: more than any event's open bracket
+const REQUEST_TIMEOUT_MS = 10000;
+
+const ENTRANT_FIELDS = `
+  entrant {
+    id
+    name
+    participants { gamerTag prefix }
+  }
+`;
+
+const EVENT_SETS_QUERY = `
+  query EventSets($slug: String!, $page: Int!, $perPage: Int!) {
+    event(slug: $slug) {
+      id
+      name
+      sets(page: $page, perPage: $perPage, sortType: STANDARD) {
+        pageInfo { totalPages }
+        nodes {
+          id
+          fullRoundText
+          state
+          totalGames
+          slots { ${ENTRANT_FIELDS} seed { seedNum } }
+        }
+      }
+    }
+  }
+`;
+
+const SET_QUERY = `
+  query Set($id: ID!) {
+    set(id: $id) {
+      id
+      fullRoundText
+      state
+      totalGames
+      event { slug videogame { id } }
+      slots { ${ENTRANT_FIELDS} seed { seedNum } }
+    }
+  }
+`;
+
+const STAGES_QUERY = `
+  query Stages($id: ID!) {
+    videogame(id: $id) {
+      stages { id name }
+    }
+  }
+`;
+
+const REPORT_MUTATION = `
+  mutation Report($setId: ID!, $winnerId: ID!, $gameData: [BracketSetGameDataInput]) {
+    reportBracketSet(setId: $setId, winnerId: $winnerId, gameData: $gameData) {
+      id
+      state
+    }
+  }
+`;
+
+/**
+ * Flattens a start.gg slot into { entrantId, tag, prefix, seed }. Singles
+ * entrants use the participant's tag/prefix, teams use the entrant name.
+ */
+function toPlayer(slot) {
+  const entrant = slot?.entrant;
+  if (!entrant) {
+    return null;
+  }
+
+  const participants = entrant.participants || [];
+  const solo = participants.length === 1 ? participants[0] : null;
+  return {
+    entrantId: String(entrant.id),
+    tag: solo ? solo.gamerTag : entrant.name,
+    prefix: solo?.prefix || '',
+    seed: slot.seed?.seedNum ?? null
+  };
+}
+
+function toSet(node) {
+  return {
+    id: String(node.id),
+    round: node.fullRoundText,
+    state: node.state,
+    bestOf: node.totalGames ?? null,
+    players: {
+      P1: toPlayer(node.slots?.[0]),
+      P2: toPlayer(node.slots?.[1])
+    }
+  };
+}
+
+// Loose stage name match: "Town & City" == "Town and City"
+function normalizeStageName(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function createStartggClient({ url = DEFAULT_URL, token = null } = {}) {
+  async function query(document, variables) {
+    if (!token) {
+      throw new Error('start.gg token not configured (STARTGG_TOKEN)');
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ query: document, variables }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (err) {
+      throw new Error(err.name === 'TimeoutError' ? 'start.gg request timed out' : `start.gg: ${err.cause?.message || err.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`start.gg HTTP ${response.status}`);
+    }
+
+    const { data, errors } = await response.json();
+    if (errors?.length) {
+      throw new Error(`start.gg: ${errors.map(e => e.message).join('; ')}`);
+    }
+    return data;
+  }
+
+  async function getEventSets(slug) {
+    const sets = [];
+    let page = 1;
+    let totalPages = 1;
+    let event = null;
+
+    do {
+      const data = await query(EVENT_SETS_QUERY, { slug, page, perPage: SETS_PER_PAGE });
+      if (!data.event) {
+        throw new Error(`start.gg event not found: ${slug}`);
+      }
+      event = data.event;
+      sets.push(...event.sets.nodes.map(toSet));
+      totalPages = event.sets.pageInfo.totalPages || 1;
+      page++;
+    } while (page <= Math.min(totalPages, MAX_SET_PAGES));
+
+    return { id: String(event.id), name: event.name, sets };
+  }
+
+  async function getSet(setId) {
+    const data = await query(SET_QUERY, { id: setId });
+    if (!data.set) {
+      throw new Error(`start.gg set not found: ${setId}`);
+    }
+    return {
+      ...toSet(data.set),
+      eventSlug: data.set.event?.slug || null,
+      videogameId: data.set.event?.videogame?.id ? String(data.set.event.videogame.id) : null
+    };
+  }
+
+  async function getVideogameStages(videogameId) {
+    const data = await query(STAGES_QUERY, { id: videogameId });
+    return (data.videogame?.stages || []).map(s => ({ id: String(s.id), name: s.name }));
+  }
+
+  async function reportSet({ setId, winnerId, gameData }) {
+    const data = await query(REPORT_MUTATION, { setId, winnerId, gameData });
+    return data.reportBracketSet;
+  }
+
+  return { getEventSets, getSet, getVideogameStages, reportSet };
+}
+
+module.exports = { createStartggClient, normalizeStageName };
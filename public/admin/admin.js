@@ -0,0 +1,614 @@
+/**
+ * Smash OBS API - Admin Dashboard
+ * Made by: Julio Rubio
+ */
+
+/* ============================================================================
+   ADMIN UI - Live overview of every match (multi-setup events)
+   ============================================================================ */
+
+// DOM Elements
+const connectionStatus = document.getElementById('connectionStatus');
+const summary = document.getElementById('summary');
+const matchesBody = document.getElementById('matchesBody');
+const emptyState = document.getElementById('emptyState');
+const toastContainer = document.getElementById('toastContainer');
+const startggForm = document.getElementById('startggForm');
+const startggEvent = document.getElementById('startggEvent');
+const startggTable = document.getElementById('startggTable');
+const startggBody = document.getElementById('startggBody');
+const stageForm = document.getElementById('stageForm');
+const stagesBody = document.getElementById('stagesBody');
+const stageGameSelect = document.getElementById('stageGameSelect');
+const stageImageInput = document.getElementById('stageImageInput');
+const createMatchForm = document.getElementById('createMatchForm');
+const newMatchId = document.getElementById('newMatchId');
+const newMatchGame = document.getElementById('newMatchGame');
+const archiveForm = document.getElementById('archiveForm');
+const archivePlayer = document.getElementById('archivePlayer');
+const archiveBody = document.getElementById('archiveBody');
+const webhookForm = document.getElementById('webhookForm');
+const webhookUrl = document.getElementById('webhookUrl');
+const webhookMatch = document.getElementById('webhookMatch');
+const webhookEvents = document.getElementById('webhookEvents');
+const webhooksBody = document.getElementById('webhooksBody');
+const deliveriesBody = document.getElementById('deliveriesBody');
+
+// Modal elements
+const modalOverlay = document.getElementById('modalOverlay');
+const modalHeader = document.getElementById('modalHeader');
+const modalBody = document.getElementById('modalBody');
+const modalInput = document.getElementById('modalInput');
+const modalConfirm = document.getElementById('modalConfirm');
+const modalCancel = document.getElementById('modalCancel');
+
+// State
+let games = [];
+let catalogs = {};           // stage list per game id
+let editedGame = null;       // game shown in the stage catalog section
+let matches = [];
+let startggSets = [];
+let archive = [];
+let webhooks = [];
+let deliveries = [];
+let modalCallback = null;
+let imageStageId = null;
+
+// start.gg set states
+const STARTGG_STATES = { 1: 'Pendiente', 2: 'En juego', 3: 'Terminado', 6: 'Llamado' };
+
+// Why a set left the live list
+const ARCHIVE_REASONS = { expired: 'Inactiva', deleted: 'Borrada', 'new-set': 'Nuevo set' };
+
+// Webhook events (see server.js WEBHOOKS) and delivery states
+const WEBHOOK_EVENTS = ['BAN', 'PICK', 'RESET', 'SET_MODE', 'DONE'];
+const DELIVERY_STATUS = {
+    pending: '⏳ Enviando',
+    retrying: '🔁 Reintentando',
+    delivered: '✅ Entregado',
+    failed: '❌ Fallido'
+};
+
+// ============================================================================
+// CUSTOM MODAL SYSTEM (confirm, or prompt when a default value is given)
+// ============================================================================
+
+function showModal(title, message, onConfirm, inputValue = null) {
+    modalHeader.textContent = title;
+    modalBody.textContent = message;
+    modalInput.style.display = inputValue === null ? 'none' : 'block';
+    modalInput.value = inputValue ?? '';
+    modalCallback = onConfirm;
+    modalOverlay.classList.add('active');
+    if (inputValue !== null) {
+        modalInput.focus();
+        modalInput.select();
+    }
+}
+
+function hideModal() {
+    modalOverlay.classList.remove('active');
+    modalCallback = null;
+}
+
+modalConfirm.addEventListener('click', () => {
+    if (modalCallback) {
+        modalCallback(modalInput.value);
+    }
+    hideModal();
+});
+
+modalCancel.addEventListener('click', () => {
+    hideModal();
+});
+
+modalOverlay.addEventListener('click', (e) => {
+    if (e.target === modalOverlay) {
+        hideModal();
+    }
+});
+
+// ============================================================================
+// SOCKET.IO CONNECTION
+// ============================================================================
+
+const socket = io({ auth: { token } });
+
+socket.on('connect', () => {
+    console.log('✅ Admin connected to server');
+    updateConnectionStatus('connected', 'Connected');
+    socket.emit('admin:join');
+});
+
+socket.on('disconnect', () => {
+    console.log('❌ Admin disconnected');
+    updateConnectionStatus('disconnected', 'Disconnected');
+});
+
+socket.on('admin:error', ({ error }) => {
+    showToast(error, 'error');
+});
+
+socket.on('matches:update', (list) => {
+    // A match leaving the list may have archived its set
+    const removed = matches.some(m => !list.find(l => l.matchId === m.matchId));
+    matches = list;
+    renderMatches();
+    if (removed) {
+        loadArchive();
+    }
+});
+
+socket.on('webhooks:update', (data) => {
+    webhooks = data.webhooks;
+    deliveries = data.deliveries;
+    renderWebhooks();
+});
+
+socket.on('stages:update', ({ videogame, stages }) => {
+    catalogs[videogame] = stages;
+    renderStages();
+    renderMatches();
+    renderArchive();
+});
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+async function init() {
+    webhookEvents.innerHTML = WEBHOOK_EVENTS.map(event => `
+      <label><input type="checkbox" value="${event}"> ${event}</label>
+    `).join('');
+
+    try {
+        games = await (await fetch('/api/games')).json();
+        const loaded = await Promise.all(games.map(game => fetch(`/api/games/${encodeURIComponent(game.id)}/stages`).then(res => res.json())));
+        games.forEach((game, i) => {
+            catalogs[game.id] = loaded[i];
+        });
+        editedGame = games[0]?.id || null;
+        renderGameSelects();
+        renderStages();
+        renderMatches();
+    } catch (err) {
+        console.error('Failed to load stages:', err);
+        showToast('Error loading stages', 'error');
+    }
+    loadArchive();
+}
+
+async function loadArchive() {
+    const player = archivePlayer.value.trim();
+    const result = await request('GET', `/api/archive${player ? `?player=${encodeURIComponent(player)}` : ''}`);
+    if (result?.ok) {
+        archive = result.sets;
+        renderArchive();
+    }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderMatches() {
+    summary.textContent = `${matches.length} partida${matches.length === 1 ? '' : 's'}`;
+    emptyState.style.display = matches.length ? 'none' : 'block';
+
+    matchesBody.innerHTML = matches.map(match => {
+        const { matchId, videogame, mode, ruleset, phase, bans, pick, players, set, clients, startgg, updatedAt } = match;
+        const id = escapeHtml(matchId);
+        const query = `?match=${encodeURIComponent(matchId)}${token ? `&token=${encodeURIComponent(token)}` : ''}`;
+        const score = `${set.score.P1} - ${set.score.P2}`;
+
+        return `
+      <tr class="${isStale(match) ? 'stale' : ''}">
+        <td class="match-id">${id}</td>
+        <td>${escapeHtml(players.P1 || 'P1')} vs ${escapeHtml(players.P2 || 'P2')}${renderStartggStatus(startgg)}</td>
+        <td>${set.winner ? `🏁 ${score}` : `G${set.game} · ${score}`} <span class="muted">Bo${set.bestOf}</span></td>
+        <td>${mode} <span class="muted">(${escapeHtml(getGameShort(videogame))} · ${escapeHtml(ruleset)})</span><br><span class="phase">${phase}</span></td>
+        <td>${escapeHtml(bans.map(id => getStageShort(videogame, id)).join(', ')) || '—'}${pick ? `<br><span class="pick">✓ ${escapeHtml(getStageShort(videogame, pick))}</span>` : ''}</td>
+        <td class="${clients.control + clients.overlay === 0 ? 'warn' : ''}">🎮 ${clients.control} · 📺 ${clients.overlay}</td>
+        <td>${formatAgo(updatedAt)}</td>
+        <td class="row-actions">
+          <a class="row-btn" href="/control/${query}" target="_blank">Control</a>
+          <a class="row-btn" href="/overlay/${query}" target="_blank">Overlay</a>
+          <button class="row-btn" data-action="reset" data-id="${id}">Reset</button>
+          <button class="row-btn" data-action="rename" data-id="${id}">Renombrar</button>
+          ${startgg && set.winner ? `<button class="row-btn" data-action="report" data-id="${id}">Reportar start.gg</button>` : ''}
+          <button class="row-btn danger" data-action="delete" data-id="${id}">Borrar</button>
+        </td>
+      </tr>
+    `;
+    }).join('');
+
+    matchesBody.querySelectorAll('button[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => handleRowAction(btn.dataset.action, btn.dataset.id));
+    });
+}
+
+function renderStartggStatus(startgg) {
+    if (!startgg) return '';
+
+    const { round, report } = startgg;
+    if (report?.status === 'ok') {
+        return `<br><span class="startgg-status ok">start.gg · ${escapeHtml(round)} · reportado ✓</span>`;
+    }
+    if (report?.status === 'error') {
+        return `<br><span class="startgg-status error" title="${escapeHtml(report.error)}">start.gg · ${escapeHtml(round)} · error al reportar</span>`;
+    }
+    return `<br><span class="startgg-status">start.gg · ${escapeHtml(round)}</span>`;
+}
+
+function renderArchive() {
+    archiveBody.innerHTML = archive.map(record => {
+        const { matchId, videogame, archivedAt, reason, players, set, startgg } = record;
+        const winnerTag = players[set.winner].tag || set.winner;
+
+        return `
+      <tr>
+        <td>${new Date(archivedAt).toLocaleString()}</td>
+        <td class="match-id">${escapeHtml(matchId)}${startgg ? `<br><span class="startgg-status">start.gg · ${escapeHtml(startgg.round)}</span>` : ''}</td>
+        <td>${escapeHtml(players.P1.tag || 'P1')} vs ${escapeHtml(players.P2.tag || 'P2')}</td>
+        <td>${set.score.P1} - ${set.score.P2} <span class="muted">Bo${set.bestOf}</span><br>🏆 ${escapeHtml(winnerTag)}</td>
+        <td>${escapeHtml(set.games.map(g => getStageShort(videogame, g.stage)).join(', '))}</td>
+        <td class="muted">${ARCHIVE_REASONS[reason] || reason}</td>
+      </tr>
+    `;
+    }).join('') || '<tr><td colspan="6" class="muted">Sin sets archivados</td></tr>';
+}
+
+function renderWebhooks() {
+    webhooksBody.innerHTML = webhooks.map(webhook => {
+        const last = deliveries.find(d => d.webhookId === webhook.id);
+
+        return `
+      <tr>
+        <td class="webhook-url">${escapeHtml(webhook.url)}</td>
+        <td class="match-id">${webhook.match ? escapeHtml(webhook.match) : '<span class="muted">Todas</span>'}</td>
+        <td>${webhook.events ? webhook.events.join(', ') : '<span class="muted">Todos</span>'}</td>
+        <td>${last ? `${DELIVERY_STATUS[last.status]} <span class="muted">${formatAgo(last.createdAt)}</span>` : '<span class="muted">—</span>'}</td>
+        <td class="row-actions">
+          <button class="row-btn danger" data-id="${webhook.id}">Borrar</button>
+        </td>
+      </tr>
+    `;
+    }).join('') || '<tr><td colspan="5" class="muted">Sin webhooks</td></tr>';
+
+    webhooksBody.querySelectorAll('button[data-id]').forEach(btn => {
+        btn.addEventListener('click', () => handleDeleteWebhook(btn.dataset.id));
+    });
+
+    deliveriesBody.innerHTML = deliveries.map(delivery => {
+        const last = delivery.attempts[delivery.attempts.length - 1];
+        const detail = last?.error || (last ? `HTTP ${last.status}` : '');
+
+        return `
+      <tr>
+        <td>${new Date(delivery.createdAt).toLocaleTimeString()}</td>
+        <td>${delivery.event}</td>
+        <td class="match-id">${escapeHtml(delivery.matchId)}</td>
+        <td class="webhook-url">${escapeHtml(delivery.url)}</td>
+        <td class="${delivery.status === 'failed' ? 'warn' : ''}">${DELIVERY_STATUS[delivery.status]}<br><span class="muted">${escapeHtml(detail)}</span></td>
+        <td>${delivery.attempts.length}</td>
+      </tr>
+    `;
+    }).join('') || '<tr><td colspan="6" class="muted">Sin entregas</td></tr>';
+}
+
+function renderStartggSets() {
+    startggTable.classList.toggle('visible', startggSets.length > 0);
+
+    startggBody.innerHTML = startggSets.map(set => {
+        const { id, round, state, bestOf, players } = set;
+        const p1 = players.P1 ? escapeHtml(players.P1.tag) : '—';
+        const p2 = players.P2 ? escapeHtml(players.P2.tag) : '—';
+        const ready = players.P1 && players.P2;
+
+        return `
+      <tr>
+        <td>${escapeHtml(round)}</td>
+        <td>${p1} vs ${p2}</td>
+        <td>${bestOf ? `Bo${bestOf}` : '—'}</td>
+        <td>${STARTGG_STATES[state] || state}</td>
+        <td class="row-actions">
+          <button class="row-btn" data-set-id="${escapeHtml(id)}" ${ready ? '' : 'disabled'}>Asignar a partida</button>
+        </td>
+      </tr>
+    `;
+    }).join('');
+
+    startggBody.querySelectorAll('button[data-set-id]').forEach(btn => {
+        btn.addEventListener('click', () => handleAssignSet(btn.dataset.setId));
+    });
+}
+
+function renderGameSelects() {
+    const options = games.map(game => `<option value="${escapeHtml(game.id)}">${escapeHtml(game.name)}</option>`).join('');
+    newMatchGame.innerHTML = options;
+    stageGameSelect.innerHTML = options;
+    stageGameSelect.value = editedGame;
+}
+
+// Catalog of the game picked in the section's selector
+function renderStages() {
+    const stages = catalogs[editedGame] || [];
+    const assets = games.find(g => g.id === editedGame)?.assets;
+
+    stagesBody.innerHTML = stages.map((stage, i) => {
+        const id = escapeHtml(stage.id);
+        const version = stage.imageVersion ? `?v=${stage.imageVersion}` : '';
+
+        return `
+      <tr class="stage-row ${stage.banned ? 'retired' : ''}" data-id="${id}">
+        <td><img class="stage-thumb" src="${assets}/${id}.png${version}" alt="" onerror="this.style.visibility='hidden'"></td>
+        <td class="match-id">${id}</td>
+        <td><input class="stage-field" data-field="name" value="${escapeHtml(stage.name)}" maxlength="48"></td>
+        <td><input class="stage-field" data-field="short" value="${escapeHtml(stage.short)}" maxlength="8"></td>
+        <td><input type="checkbox" data-flag="starter" ${stage.starter ? 'checked' : ''}></td>
+        <td><input type="checkbox" data-flag="counterpick" ${stage.counterpick ? 'checked' : ''}></td>
+        <td><input type="checkbox" data-flag="banned" ${stage.banned ? 'checked' : ''}></td>
+        <td class="row-actions">
+          <button class="row-btn" data-action="up" ${i === 0 ? 'disabled' : ''}>↑</button>
+          <button class="row-btn" data-action="down" ${i === stages.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="row-btn" data-action="image">Imagen</button>
+          <button class="row-btn danger" data-action="delete">Borrar</button>
+        </td>
+      </tr>
+    `;
+    }).join('');
+
+    stagesBody.querySelectorAll('.stage-row').forEach(row => {
+        const stageId = row.dataset.id;
+        row.querySelectorAll('.stage-field').forEach(input => {
+            input.addEventListener('change', () => updateStage(stageId, { [input.dataset.field]: input.value }));
+        });
+        row.querySelectorAll('input[data-flag]').forEach(input => {
+            input.addEventListener('change', () => updateStage(stageId, { [input.dataset.flag]: input.checked }));
+        });
+        row.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => handleStageAction(btn.dataset.action, stageId));
+        });
+    });
+}
+
+// A match nobody has touched in 10 minutes while mid-selection is probably stuck
+function isStale(match) {
+    return match.phase !== 'DONE' && Date.now() - match.updatedAt > 10 * 60 * 1000;
+}
+
+// Sets archived before game profiles have no videogame: the first catalog
+// with the stage will do
+function getStageShort(videogame, stageId) {
+    const catalog = catalogs[videogame] || Object.values(catalogs).flat();
+    const stage = catalog.find(s => s.id === stageId);
+    return stage ? stage.short : stageId;
+}
+
+function getGameShort(videogame) {
+    const game = games.find(g => g.id === videogame);
+    return game ? game.short : videogame;
+}
+
+// Catalog routes of the game being edited
+function getStagesUrl(path = '') {
+    return `/api/games/${encodeURIComponent(editedGame)}/stages${path}`;
+}
+
+function formatAgo(ts) {
+    const seconds = Math.round((Date.now() - ts) / 1000);
+    if (seconds < 60) return `hace ${seconds}s`;
+    if (seconds < 3600) return `hace ${Math.floor(seconds / 60)} min`;
+    return `hace ${Math.floor(seconds / 3600)} h`;
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+function handleRowAction(action, matchId) {
+    if (action === 'reset') {
+        showModal(
+            '🔄 Resetear Selección',
+            `¿Resetear los bans y picks de ${matchId}?`,
+            () => request('POST', `/api/matches/${encodeURIComponent(matchId)}/actions/RESET`)
+        );
+    } else if (action === 'rename') {
+        showModal(
+            '✏️ Renombrar Partida',
+            `Nuevo ID para ${matchId}:`,
+            (to) => request('POST', `/api/matches/${encodeURIComponent(matchId)}/rename`, { to }),
+            matchId
+        );
+    } else if (action === 'report') {
+        request('POST', `/api/matches/${encodeURIComponent(matchId)}/startgg/report`);
+    } else if (action === 'delete') {
+        showModal(
+            '🗑️ Borrar Partida',
+            `¿Borrar ${matchId}? Se pierden el set y la selección.`,
+            () => request('DELETE', `/api/matches/${encodeURIComponent(matchId)}`)
+        );
+    }
+}
+
+function handleDeleteWebhook(id) {
+    const webhook = webhooks.find(w => w.id === id);
+    showModal(
+        '🗑️ Borrar Webhook',
+        `¿Dejar de enviar eventos a ${webhook.url}?`,
+        () => request('DELETE', `/api/webhooks/${encodeURIComponent(id)}`)
+    );
+}
+
+function handleAssignSet(setId) {
+    const set = startggSets.find(s => s.id === setId);
+    showModal(
+        '🔗 Asignar Set',
+        `ID de partida para ${set.round} (${set.players.P1.tag} vs ${set.players.P2.tag}). Empieza un set nuevo en esa partida.`,
+        (matchId) => {
+            if (!matchId.trim()) return;
+            request('POST', `/api/matches/${encodeURIComponent(matchId.trim())}/startgg`, { setId });
+        },
+        ''
+    );
+}
+
+// Failed edits re-render so the table goes back to the saved catalog
+async function updateStage(stageId, changes) {
+    const result = await request('PATCH', getStagesUrl(`/${encodeURIComponent(stageId)}`), changes);
+    if (!result?.ok) {
+        renderStages();
+    }
+}
+
+function handleStageAction(action, stageId) {
+    const ids = catalogs[editedGame].map(s => s.id);
+    const i = ids.indexOf(stageId);
+
+    if (action === 'up' || action === 'down') {
+        const j = action === 'up' ? i - 1 : i + 1;
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+        request('PUT', getStagesUrl('/order'), { ids });
+    } else if (action === 'image') {
+        imageStageId = stageId;
+        stageImageInput.value = '';
+        stageImageInput.click();
+    } else if (action === 'delete') {
+        showModal(
+            '🗑️ Borrar Escenario',
+            `¿Borrar ${stageId} del catálogo? Si ya se ha jugado en alguna partida, márcalo como retirado.`,
+            () => request('DELETE', getStagesUrl(`/${encodeURIComponent(stageId)}`))
+        );
+    }
+}
+
+stageImageInput.addEventListener('change', async () => {
+    const file = stageImageInput.files[0];
+    if (!file || !imageStageId) return;
+
+    const result = await request('PUT', getStagesUrl(`/${encodeURIComponent(imageStageId)}/image`), file, 'image/png');
+    if (result?.ok) {
+        showToast(`Imagen de ${imageStageId} actualizada`, 'success');
+    }
+});
+
+stageGameSelect.addEventListener('change', () => {
+    editedGame = stageGameSelect.value;
+    renderStages();
+});
+
+stageForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const stage = {
+        id: document.getElementById('stageId').value.trim(),
+        name: document.getElementById('stageName').value,
+        short: document.getElementById('stageShort').value,
+        counterpick: true
+    };
+
+    const result = await request('POST', getStagesUrl(), stage);
+    if (result?.ok) {
+        stageForm.reset();
+        stageGameSelect.value = editedGame;
+        showToast(`${result.stage.name} añadido como counterpick`, 'success');
+    }
+});
+
+createMatchForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const id = newMatchId.value.trim();
+    if (!id) return;
+
+    const result = await request('POST', '/api/matches', { id, videogame: newMatchGame.value });
+    if (result?.ok) {
+        createMatchForm.reset();
+        showToast(`Partida ${result.matchId} creada`, 'success');
+    }
+});
+
+webhookForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const url = webhookUrl.value.trim();
+    if (!url) return;
+
+    const events = [...webhookEvents.querySelectorAll('input:checked')].map(input => input.value);
+    const result = await request('POST', '/api/webhooks', {
+        url,
+        match: webhookMatch.value.trim() || null,
+        events: events.length > 0 ? events : null
+    });
+    if (result?.ok) {
+        webhookForm.reset();
+        // The secret is only returned once: show it so it can be copied to the receiver
+        showModal('🪝 Webhook Creado', 'Secreto para verificar X-Smash-Signature (no se vuelve a mostrar):', null, result.webhook.secret);
+    }
+});
+
+archiveForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadArchive();
+});
+
+startggForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const slug = startggEvent.value.trim();
+    if (!slug) return;
+
+    const result = await request('GET', `/api/startgg/sets?event=${encodeURIComponent(slug)}`);
+    if (result?.ok) {
+        startggSets = result.event.sets;
+        renderStartggSets();
+        showToast(`${result.event.name}: ${startggSets.length} sets`, 'success');
+    }
+});
+
+// JSON by default; pass a contentType to send the body as is (image upload)
+async function request(method, url, body, contentType = null) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': contentType || 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body && !contentType ? JSON.stringify(body) : body
+        });
+        const result = await response.json();
+        if (!result.ok) {
+            showToast(result.error, 'error');
+        }
+        return result;
+    } catch (err) {
+        console.error('Request failed:', err);
+        showToast('Error de conexión', 'error');
+    }
+}
+
+// ============================================================================
+// UI HELPERS
+// ============================================================================
+
+function updateConnectionStatus(status, text) {
+    connectionStatus.className = `connection-status ${status}`;
+    connectionStatus.querySelector('.status-text').textContent = text;
+}
+
+function showToast(message, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    toastContainer.appendChild(toast);
+
+    setTimeout(() => {
+        toast.remove();
+    }, 3000);
+}
+
+// ============================================================================
+// START
+// ============================================================================
+
+init();
+
+// Keep "last activity" times fresh between updates
+setInterval(renderMatches, 10000);
@@ -7,9 +7,8 @@
    CONTROL UI - Socket.IO Client with Custom Modal
    ============================================================================ */
 
-// Get match ID from URL query params
-const urlParams = new URLSearchParams(window.location.search);
-const matchId = urlParams.get('match') || 'default';
+// Seat from the URL (match and token: see shared/common.js)
+const seat = urlParams.get('seat');
 
 // DOM Elements
 const connectionStatus = document.getElementById('connectionStatus');
@@ -19,11 +18,37 @@ const phaseLabel = document.getElementById('phaseLabel');
 const phaseCounter = document.getElementById('phaseCounter');
 const availableList = document.getElementById('availableList');
 const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const timelineList = document.getElementById('timelineList');
 const resetBtn = document.getElementById('resetBtn');
 const forcePhaseBtn = document.getElementById('forcePhaseBtn');
 const matchIdDisplay = document.getElementById('matchIdDisplay');
+const accessRoleDisplay = document.getElementById('accessRoleDisplay');
+const turnBanner = document.getElementById('turnBanner');
 const toastContainer = document.getElementById('toastContainer');
 const modeBtns = document.querySelectorAll('.mode-btn');
+const gameSelect = document.getElementById('gameSelect');
+const rulesetSelect = document.getElementById('rulesetSelect');
+const dsrSelect = document.getElementById('dsrSelect');
+const timerSecondsSelect = document.getElementById('timerSecondsSelect');
+const timerPerSelect = document.getElementById('timerPerSelect');
+const timerExpireSelect = document.getElementById('timerExpireSelect');
+const phaseTimer = document.getElementById('phaseTimer');
+const firstStrikerSelect = document.getElementById('firstStrikerSelect');
+const firstStrikerPanel = document.getElementById('firstStrikerPanel');
+const setPanel = document.getElementById('setPanel');
+const setGame = document.getElementById('setGame');
+const setScore = document.getElementById('setScore');
+const bestOfSelect = document.getElementById('bestOfSelect');
+const resultBtns = document.querySelectorAll('.result-btn');
+const newSetBtn = document.getElementById('newSetBtn');
+const setPlayerP1 = document.getElementById('setPlayerP1');
+const setPlayerP2 = document.getElementById('setPlayerP2');
+const editPlayersBtn = document.getElementById('editPlayersBtn');
+const swapRolesBtn = document.getElementById('swapRolesBtn');
+const matchMissingText = document.getElementById('matchMissingText');
+const createMatchBtn = document.getElementById('createMatchBtn');
+const langSelect = document.getElementById('langSelect');
 
 // Modal elements
 const modalOverlay = document.getElementById('modalOverlay');
@@ -31,11 +56,26 @@ const modalHeader = document.getElementById('modalHeader');
 const modalBody = document.getElementById('modalBody');
 const modalConfirm = document.getElementById('modalConfirm');
 const modalCancel = document.getElementById('modalCancel');
+const playersModalOverlay = document.getElementById('playersModalOverlay');
+const playersForm = document.getElementById('playersForm');
+const playersCancel = document.getElementById('playersCancel');
 
 // State
-let stages = [];
-let currentState = null;
+let games = [];
+let rulesets = [];
+let access = { role: 'arbiter', player: null };
 let modalCallback = null;
+let connectionState = 'connecting';
+const pendingActions = new Set(); // sent, waiting for the server's answer
+
+// How long a stage card flashes once the server answers the tap
+const TAP_FLASH_MS = 600;
+
+// An action with no answer by then is given up (the card stops waiting)
+const ACTION_TIMEOUT_MS = 5000;
+
+// UI language when neither ?lang nor a saved choice says otherwise
+const DEFAULT_LOCALE = 'es';
 
 // ============================================================================
 // CUSTOM MODAL SYSTEM (replaces browser confirm)
@@ -71,38 +111,182 @@ modalOverlay.addEventListener('click', (e) => {
     }
 });
 
+// ============================================================================
+// PLAYERS MODAL
+// ============================================================================
+
+function showPlayersModal() {
+    if (!currentState) return;
+
+    // Fill inputs named "<slot>.<field>" from the current players
+    playersForm.querySelectorAll('.player-input').forEach(input => {
+        const [slot, field] = input.name.split('.');
+        input.value = currentState.players[slot][field];
+    });
+    playersModalOverlay.classList.add('active');
+}
+
+function hidePlayersModal() {
+    playersModalOverlay.classList.remove('active');
+}
+
+playersForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const players = { P1: {}, P2: {} };
+    playersForm.querySelectorAll('.player-input').forEach(input => {
+        const [slot, field] = input.name.split('.');
+        players[slot][field] = input.value;
+    });
+
+    sendAction({ type: 'SET_PLAYERS', players });
+    hidePlayersModal();
+});
+
+playersCancel.addEventListener('click', () => {
+    hidePlayersModal();
+});
+
+playersModalOverlay.addEventListener('click', (e) => {
+    if (e.target === playersModalOverlay) {
+        hidePlayersModal();
+    }
+});
+
 // ============================================================================
 // SOCKET.IO CONNECTION
 // ============================================================================
 
-const socket = io();
+// Connects from init(), once the UI strings are loaded
+const socket = io({ auth: { token, seat }, autoConnect: false });
 
+// Joining again on every (re)connect sends the current state: the resync
 socket.on('connect', () => {
     console.log('✅ Connected to server');
-    updateConnectionStatus('connected', 'Connected');
-    socket.emit('join', { matchId });
+    updateConnectionStatus('connected');
+    document.body.classList.remove('offline');
+    socket.emit('join', { matchId, client: 'control' });
 });
 
+// Taps in flight are lost with the connection; the state on screen is stale
 socket.on('disconnect', () => {
     console.log('❌ Disconnected from server');
-    updateConnectionStatus('disconnected', 'Disconnected');
+    updateConnectionStatus('disconnected');
+    document.body.classList.add('offline');
+    pendingActions.clear();
+    stageGrid.querySelectorAll('.stage-card.pending').forEach(card => card.classList.remove('pending'));
+});
+
+socket.on('access', (info) => {
+    console.log('🔐 Access:', info);
+    access = info;
+    document.body.dataset.role = info.role;
+    renderAccessRole();
+    renderState();
+});
+
+// Admin renamed this match: follow it to the new ID
+socket.on('match:renamed', (rename) => {
+    if (!followRename(socket, rename, 'control')) return;
+    showToast(t('control.match.renamed', { matchId }), 'success');
+});
+
+socket.on('match:deleted', () => {
+    showToast(t('control.match.deleted'), 'error');
+    socket.emit('join', { matchId, client: 'control' });
+});
+
+// Unknown or expired match: nothing to control until an arbiter creates it
+socket.on('match:notFound', () => {
+    currentState = null;
+    timerEndsAt = null;
+    document.body.classList.add('match-missing');
+    renderMatchMissing();
+});
+
+socket.on('match:error', ({ error }) => {
+    showToast(error, 'error');
 });
 
 socket.on('state:update', (state) => {
     console.log('📦 State update:', state);
-    currentState = state;
+    applyState(state, showCatalog);
     renderState();
 });
 
-socket.on('action:result', (result) => {
+socket.on('event:push', (event) => {
+    console.log('🎯 Event:', event);
+
+    if (event.type === 'FIRST_STRIKER') {
+        const detail = event.choices
+            ? `${RPS_ICONS[event.choices.P1]} vs ${RPS_ICONS[event.choices.P2]}`
+            : t(`control.firstStriker.method.${event.method}`);
+        showToast(t('control.firstStriker.result', { player: getPlayerTag(event.player), detail }), 'success');
+    } else if (event.type === 'RPS_TIE') {
+        const choices = `${RPS_ICONS[event.choices.P1]} vs ${RPS_ICONS[event.choices.P2]}`;
+        showToast(t('control.firstStriker.tie', { choices }), 'info');
+    }
+});
+
+/**
+ * Sends an action based on the state on screen: if the match changed in the
+ * meantime the server rejects it as stale instead of applying it. The answer
+ * comes back through the acknowledgement, so it always belongs to this tap.
+ */
+function sendAction(action) {
+    if (!socket.connected) {
+        showToast(t('control.error.offline'), 'error');
+        return;
+    }
+
+    pendingActions.add(action);
+    setCardStatus(action.stageId, 'pending');
+
+    const payload = { ...action, matchId, version: currentState?.version };
+    socket.timeout(ACTION_TIMEOUT_MS).emit('action', payload, (err, result) => {
+        // Already given up on when the connection dropped
+        if (!pendingActions.delete(action)) return;
+
+        if (err) {
+            setCardStatus(action.stageId, null);
+            showToast(t('control.error.timeout'), 'error');
+            return;
+        }
+        handleActionResult(action, result);
+    });
+}
+
+function handleActionResult(action, result) {
     console.log('⚡ Action result:', result);
-    if (!result.ok && result.error) {
-        showToast(result.error, 'error');
+    setCardStatus(action.stageId, result.ok ? 'confirmed' : 'rejected');
+    if (result.ok) return;
+
+    // Stale: someone else acted first; the server already sent the new state
+    if (result.code === 'STALE_STATE') {
+        showToast(t('control.error.stale'), 'info');
+    } else {
+        showToast(getActionError(result), 'error');
+    }
+}
+
+// Translated message for the error code, or the server's own (detailed) text
+function getActionError({ code, error }) {
+    const key = `control.error.code.${code}`;
+    return hasTranslation(key) ? t(key) : error;
+}
+
+// Asleep tablets can miss updates without dropping the socket
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && socket.connected) {
+        socket.emit('resync');
     }
 });
 
-socket.on('event:push', (event) => {
-    console.log('🎯 Event:', event);
+// Stage catalog edited from the admin dashboard
+socket.on('stages:update', (update) => {
+    if (!applyStagesUpdate(update)) return;
+    renderStageGrid();
+    renderState();
 });
 
 // ============================================================================
@@ -110,13 +294,39 @@ socket.on('event:push', (event) => {
 // ============================================================================
 
 async function init() {
+    await loadLocale('control', DEFAULT_LOCALE);
+    updateConnectionStatus(connectionState);
+    socket.connect();
+
+    try {
+        const [gamesRes, rulesetsRes, localesRes] = await Promise.all([
+            fetch('/api/games'),
+            fetch('/api/rulesets'),
+            fetch('/api/locales')
+        ]);
+        games = await gamesRes.json();
+        rulesets = await rulesetsRes.json();
+        renderLangSelect(await localesRes.json());
+        renderGameSelect();
+        renderRulesetSelect();
+    } catch (err) {
+        console.error('Failed to load stages:', err);
+        showToast(t('control.error.loadStages'), 'error');
+    }
+}
+
+// Loads the match's game catalog (again when the match switches game) and
+// redraws what depends on it
+async function showCatalog(videogame) {
     try {
-        const response = await fetch('/api/stages');
-        stages = await response.json();
+        if (!await loadCatalog(videogame)) return;
+
         renderStageGrid();
+        renderRulesetSelect();
+        renderState();
     } catch (err) {
         console.error('Failed to load stages:', err);
-        showToast('Error loading stages', 'error');
+        showToast(t('control.error.loadStages'), 'error');
     }
 }
 
@@ -125,15 +335,16 @@ async function init() {
 // ============================================================================
 
 function renderStageGrid() {
-    stageGrid.innerHTML = stages.map(stage => `
+    // Retired stages (banned from play) are hidden
+    stageGrid.innerHTML = stages.filter(stage => !stage.banned).map(stage => `
     <div class="stage-card" data-id="${stage.id}">
       <img 
         class="stage-image" 
-        src="/assets/stages/${stage.id}.png" 
-        alt="${stage.name}"
+        src="${getStageImage(stage)}" 
+        alt="${escapeHtml(getLocalizedStageName(stage))}"
         onerror="this.style.display='none'"
       >
-      <div class="stage-name">${stage.name}</div>
+      <div class="stage-name">${escapeHtml(getLocalizedStageName(stage))}</div>
     </div>
   `).join('');
 
@@ -143,21 +354,81 @@ function renderStageGrid() {
     });
 }
 
+function renderGameSelect() {
+    gameSelect.innerHTML = games.map(game => `
+    <option value="${game.id}">${escapeHtml(game.name)}</option>
+  `).join('');
+
+    if (currentState) {
+        gameSelect.value = currentState.videogame;
+    }
+}
+
+// Only the rulesets of the match's game; SET_VIDEOGAME switches game
+function renderRulesetSelect() {
+    rulesetSelect.innerHTML = rulesets.filter(ruleset => ruleset.videogame === catalogVideogame).map(ruleset => `
+    <option value="${escapeHtml(ruleset.id)}">${escapeHtml(ruleset.name)}</option>
+  `).join('');
+
+    if (currentState) {
+        rulesetSelect.value = currentState.ruleset;
+    }
+}
+
+function renderLangSelect(locales) {
+    langSelect.innerHTML = locales.map(locale => `
+    <option value="${escapeHtml(locale.id)}">${escapeHtml(locale.name)}</option>
+  `).join('');
+    langSelect.value = i18nLocale;
+}
+
+// Texts set from JS (not data-i18n) that stay on screen between state updates
+function renderAccessRole() {
+    const role = access.role === 'player'
+        ? t('control.role.player', { player: access.player })
+        : t(`control.role.${access.role}`);
+    accessRoleDisplay.textContent = `· ${role}`;
+}
+
+function renderMatchMissing() {
+    matchMissingText.textContent = t('control.match.missing', { matchId });
+}
+
 function renderState() {
     if (!currentState) return;
 
-    const { mode, phase, bans, pick, available, bansRemaining, picksRemaining, canUndo } = currentState;
+    const { mode, ruleset, phase, stages: legalStages, bans, pick, available, bansRemaining, picksRemaining, canUndo, set, dsrLocked } = currentState;
 
     // Update match ID display
     if (matchIdDisplay) {
         matchIdDisplay.textContent = matchId;
     }
 
+    // Update set tracking
+    renderSet(set, phase);
+
+    // Player devices: whose turn is it?
+    const isPlayerDevice = access.role === 'player';
+    const isMyTurn = isPlayerDevice && currentState.actingPlayer === access.player;
+    renderTurnBanner(phase, isMyTurn);
+
     // Update mode toggle
     modeBtns.forEach(btn => {
         btn.classList.toggle('active', btn.dataset.mode === mode);
     });
 
+    // Update game and ruleset selectors
+    if (games.length) {
+        gameSelect.value = currentState.videogame;
+    }
+    if (rulesets.length) {
+        rulesetSelect.value = ruleset;
+    }
+    dsrSelect.value = set.dsr || '';
+    firstStrikerSelect.value = set.firstStriker || '';
+    renderTimerSelects(set.timer, ruleset);
+    renderFirstStriker();
+
     // Update phase indicator
     updatePhaseIndicator(phase, bansRemaining, picksRemaining);
 
@@ -173,10 +444,21 @@ function renderState() {
     // Update stage cards
     stageGrid.querySelectorAll('.stage-card').forEach(card => {
         const id = card.dataset.id;
-        card.classList.remove('banned', 'picked');
+        card.classList.remove('banned', 'picked', 'excluded', 'dsr-locked', 'disabled');
+
+        // Player devices can only tap cards on their own turn
+        if (isPlayerDevice && !isMyTurn) {
+            card.classList.add('disabled');
+        }
 
+        // Stages outside the ruleset's list for this mode are not playable
+        if (!legalStages.includes(id)) {
+            card.classList.add('excluded');
+        }
         if (bans.includes(id)) {
             card.classList.add('banned');
+        } else if (dsrLocked.includes(id)) {
+            card.classList.add('dsr-locked');
         }
         if (pick === id) {
             card.classList.add('picked');
@@ -185,6 +467,8 @@ function renderState() {
 
     // Update buttons
     undoBtn.disabled = !canUndo;
+    redoBtn.disabled = !currentState.canRedo;
+    renderTimeline();
 
     // Disable force phase if DONE
     if (forcePhaseBtn) {
@@ -192,48 +476,228 @@ function renderState() {
     }
 }
 
+// Shows the set's override, or the ruleset's timer when there is none
+function renderTimerSelects(override, rulesetId) {
+    const timer = override || rulesets.find(r => r.id === rulesetId)?.timer;
+    timerSecondsSelect.value = override ? String(override.seconds) : '';
+    timerPerSelect.value = timer?.per || 'action';
+    timerExpireSelect.value = timer?.onExpire || 'warn';
+}
+
+function renderTimer() {
+    renderCountdown(phaseTimer, currentState?.timer, timerEndsAt, {
+        expired: t('control.timer.expired'),
+        prefix: '⏱️ '
+    });
+}
+
+/**
+ * Game 1 pre-phase: the arbiter can flip the coin or pick by hand; players
+ * enter their own RPS, and the higher seed chooses when the method is "seed".
+ */
+function renderFirstStriker() {
+    const { pending, method, chooser, rps } = currentState.firstStriker;
+    firstStrikerPanel.classList.toggle('visible', pending && access.role !== 'viewer');
+    if (!pending) return;
+
+    const isArbiter = access.role === 'arbiter';
+    const rows = [];
+
+    if (method === 'rps') {
+        const slots = isArbiter ? ['P1', 'P2'] : [access.player];
+        slots.filter(Boolean).forEach(slot => {
+            const buttons = Object.entries(RPS_ICONS).map(([choice, icon]) => `
+          <button class="action-btn player-btn" data-action="RPS" data-player="${slot}" data-choice="${choice}" ${rps[slot] ? 'disabled' : ''}>${icon}</button>
+        `).join('');
+            rows.push(`<div class="first-striker-row"><span class="ruleset-label">${escapeHtml(getPlayerTag(slot))}${rps[slot] ? ' ✓' : ''}</span>${buttons}</div>`);
+        });
+    }
+
+    if (isArbiter || (method === 'seed' && chooser === access.player)) {
+        const buttons = ['P1', 'P2'].map(slot => `
+        <button class="action-btn player-btn" data-action="CHOOSE_STRIKER" data-player="${slot}">${escapeHtml(t('control.firstStriker.starts', { player: getPlayerTag(slot) }))}</button>
+      `).join('');
+        rows.push(`<div class="first-striker-row">${buttons}</div>`);
+    }
+
+    if (isArbiter) {
+        rows.push(`<div class="first-striker-row"><button class="action-btn player-btn" data-action="COIN_FLIP">${t('control.firstStriker.coinFlip')}</button></div>`);
+    }
+
+    firstStrikerPanel.innerHTML = rows.join('');
+}
+
+firstStrikerPanel.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const { action, player, choice } = btn.dataset;
+    sendAction({ type: action, player, choice });
+});
+
+function renderTurnBanner(phase, isMyTurn) {
+    const visible = access.role === 'player' && phase !== 'DONE';
+    turnBanner.classList.toggle('visible', visible);
+    turnBanner.classList.toggle('my-turn', visible && isMyTurn);
+
+    if (visible && phase === 'FIRST_STRIKER') {
+        const { method, chooser, rps } = currentState.firstStriker;
+        const mustAct = (method === 'rps' && !rps[access.player]) || (method === 'seed' && chooser === access.player);
+        turnBanner.classList.toggle('my-turn', mustAct);
+        turnBanner.textContent = mustAct
+            ? t(method === 'rps' ? 'control.turn.rps' : 'control.turn.choose')
+            : t('control.turn.deciding');
+    } else if (visible) {
+        turnBanner.textContent = isMyTurn
+            ? t('control.turn.yours')
+            : t('control.turn.waiting', { player: getPlayerTag(currentState.actingPlayer) });
+    }
+}
+
+function renderSet(set, phase) {
+    setGame.textContent = set.winner
+        ? t('control.set.finished', { player: getPlayerTag(set.winner) })
+        : t('control.set.game', { game: set.game });
+    setPlayerP1.textContent = getPlayerDisplayName('P1');
+    setPlayerP2.textContent = getPlayerDisplayName('P2');
+    setScore.textContent = `${set.score.P1} - ${set.score.P2}`;
+    bestOfSelect.value = String(set.bestOf);
+    bestOfSelect.disabled = !!set.winner;
+    setPanel.classList.toggle('finished', !!set.winner);
+
+    // Results can only be reported once the stage is chosen
+    resultBtns.forEach(btn => {
+        btn.textContent = t('control.set.win', { player: getPlayerTag(btn.dataset.winner) });
+        btn.disabled = phase !== 'DONE' || !!set.winner;
+    });
+
+    // Roles and the first striker method can only change before anyone bans or picks
+    swapRolesBtn.disabled = currentState.bans.length > 0 || !!currentState.pick;
+    firstStrikerSelect.disabled = swapRolesBtn.disabled || set.games.length > 0;
+}
+
 function updatePhaseIndicator(phase, bansRemaining, picksRemaining) {
     phaseIndicator.className = 'phase-indicator';
 
+    const { steps, step, actingPlayer } = currentState;
+    const actor = actingPlayer ? getPlayerTag(actingPlayer) : '';
+    const stepCount = steps[step]?.count;
+
+    const bansLeft = t('control.phase.bansLeft', { count: bansRemaining });
+    const pickOf = t('control.phase.pickOf', { count: currentState.available.length });
+
     const phaseConfig = {
         'WINNER_BAN': {
-            label: '🔴 Winner Ban',
-            counter: `Faltan: ${bansRemaining}`,
+            counter: bansLeft,
             class: ''
         },
         'LOSER_BAN': {
-            label: '🔵 Loser Ban',
-            counter: `Faltan: ${bansRemaining}`,
+            counter: bansLeft,
             class: 'loser-phase'
         },
         'WINNER_PICK': {
-            label: '🟢 Winner Pick',
-            counter: 'Elige 1 de 2',
+            counter: pickOf,
             class: 'pick-phase'
         },
         'LOSER_PICK': {
-            label: '🟢 Loser Pick',
-            counter: 'Elige 1 de 6',
+            counter: pickOf,
+            class: 'pick-phase'
+        },
+        'FIRST_STRIKER': {
+            counter: getFirstStrikerHint(),
             class: 'pick-phase'
         },
         'DONE': {
-            label: '✅ Completado',
-            counter: currentState?.pick ? `Escenario: ${getStageName(currentState.pick)}` : '',
+            counter: currentState?.pick ? t('control.phase.stage', { stage: getStageName(currentState.pick) }) : '',
             class: 'done-phase'
         }
     };
 
-    const config = phaseConfig[phase] || phaseConfig.DONE;
-    phaseLabel.textContent = config.label;
+    const labelPhase = phaseConfig[phase] ? phase : 'DONE';
+    const config = phaseConfig[labelPhase];
+    phaseLabel.textContent = t(`control.phase.${labelPhase}`, { actor, count: stepCount });
     phaseCounter.textContent = config.counter;
     if (config.class) {
         phaseIndicator.classList.add(config.class);
     }
+    renderTimer();
+}
+
+/**
+ * One row per history entry, oldest first. "Volver aquí" undoes everything
+ * after that row (the undone entries stay available to Redo).
+ */
+function renderTimeline() {
+    const { timeline } = currentState;
+    const rows = timeline.map(entry => {
+        const detail = entry.stageId ? getStageName(entry.stageId) : '';
+        const player = entry.player ? getPlayerTag(entry.player) : '';
+        const time = entry.ts ? formatTime(entry.ts) : '';
+        const isLast = entry.index === timeline.length - 1;
+        return `
+      <li class="timeline-entry${isLast ? ' current' : ''}">
+        <span class="timeline-time">${time}</span>
+        <span class="timeline-phase">${t(`control.timeline.phase.${entry.phase}`)}</span>
+        <span class="timeline-action">${t(`control.timeline.action.${entry.action}`)} ${escapeHtml(detail)}</span>
+        <span class="timeline-player">${escapeHtml(player)}</span>
+        ${isLast ? '' : `<button class="timeline-jump" data-index="${entry.index + 1}">${t('control.timeline.jump')}</button>`}
+      </li>
+    `;
+    });
+
+    // From Game 2 on the first entry is the previous result: its row is the start
+    if (timeline.length > 0 && timeline[0].action !== 'RESULT') {
+        rows.unshift(`
+      <li class="timeline-entry">
+        <span class="timeline-action">${t('control.timeline.start')}</span>
+        <button class="timeline-jump" data-index="0">${t('control.timeline.jump')}</button>
+      </li>
+    `);
+    }
+
+    timelineList.innerHTML = rows.join('') || `<li class="timeline-empty">${t('control.timeline.empty')}</li>`;
+}
+
+timelineList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.timeline-jump');
+    if (!btn) return;
+
+    sendAction({ type: 'JUMP_TO', index: Number(btn.dataset.index) });
+});
+
+function getFirstStrikerHint() {
+    const { method, chooser } = currentState.firstStriker;
+    if (method === 'rps') return t('control.firstStriker.hint.rps');
+    if (method === 'seed') return t('control.firstStriker.hint.seed', { player: getPlayerTag(chooser) });
+    return t('control.firstStriker.hint.coin');
+}
+
+
+// "Sponsor | Tag" when the player has a sponsor prefix
+function getPlayerDisplayName(slot) {
+    const player = currentState?.players?.[slot];
+    if (!player?.tag) return slot;
+    return player.prefix ? `${player.prefix} | ${player.tag}` : player.tag;
 }
 
 function getStageName(stageId) {
     const stage = stages.find(s => s.id === stageId);
-    return stage ? stage.name : stageId;
+    return stage ? getLocalizedStageName(stage) : stageId;
+}
+
+// Tapped card: 'pending' until the server answers, then a short 'confirmed'
+// or 'rejected' flash
+function setCardStatus(stageId, status) {
+    const card = stageId && stageGrid.querySelector(`.stage-card[data-id="${stageId}"]`);
+    if (!card) return;
+
+    card.classList.remove('pending', 'confirmed', 'rejected');
+    if (status) {
+        card.classList.add(status);
+    }
+    if (status === 'confirmed' || status === 'rejected') {
+        setTimeout(() => card.classList.remove(status), TAP_FLASH_MS);
+    }
 }
 
 // ============================================================================
@@ -243,10 +707,24 @@ function getStageName(stageId) {
 function handleStageClick(stageId) {
     if (!currentState) return;
 
-    const { phase, bans, pick } = currentState;
+    const { phase, bans, pick, actingPlayer } = currentState;
 
-    // Don't allow clicking banned or picked stages
-    if (bans.includes(stageId) || pick === stageId) {
+    // Viewers are read-only; players only act on their own turn
+    if (access.role === 'viewer') {
+        return;
+    }
+    if (access.role === 'player' && actingPlayer !== access.player) {
+        showToast(t('control.error.notYourTurn'), 'error');
+        return;
+    }
+
+    // One tap at a time: the next one must be based on the state this one makes
+    if (pendingActions.size > 0) {
+        return;
+    }
+
+    // Don't allow clicking banned, picked or excluded stages
+    if (bans.includes(stageId) || pick === stageId || !currentState.stages.includes(stageId)) {
         return;
     }
 
@@ -258,12 +736,12 @@ function handleStageClick(stageId) {
     } else if (phase === 'WINNER_PICK' || phase === 'LOSER_PICK') {
         actionType = 'PICK';
     } else if (phase === 'DONE') {
-        showToast('La selección está completada', 'error');
+        showToast(t('control.error.selectionDone'), 'error');
         return;
     }
 
     if (actionType) {
-        socket.emit('action', { matchId, type: actionType, stageId });
+        sendAction({ type: actionType, stageId });
     }
 }
 
@@ -272,28 +750,163 @@ modeBtns.forEach(btn => {
     btn.addEventListener('click', () => {
         const mode = btn.dataset.mode;
         showModal(
-            '🎮 Cambiar Modo',
-            `¿Cambiar a ${mode === 'G1' ? 'Partida 1' : 'Partida 2-5'}? Esto reseteará la selección actual.`,
+            t('control.confirm.mode.title'),
+            t('control.confirm.mode.body', { mode: t(`control.mode.${mode}`) }),
             () => {
-                socket.emit('action', { matchId, type: 'SET_MODE', mode });
+                sendAction({ type: 'SET_MODE', mode });
             }
         );
     });
 });
 
+// Game selector (the match restarts with the game's default ruleset)
+gameSelect.addEventListener('change', () => {
+    const videogame = gameSelect.value;
+    const selected = games.find(g => g.id === videogame);
+    showModal(
+        t('control.confirm.videogame.title'),
+        t('control.confirm.videogame.body', { videogame: selected ? selected.name : videogame }),
+        () => {
+            sendAction({ type: 'SET_VIDEOGAME', videogame });
+        }
+    );
+    // Keep showing the active game until the server confirms the change
+    if (currentState) {
+        gameSelect.value = currentState.videogame;
+    }
+});
+
+// Ruleset selector
+rulesetSelect.addEventListener('change', () => {
+    const ruleset = rulesetSelect.value;
+    const selected = rulesets.find(r => r.id === ruleset);
+    showModal(
+        t('control.confirm.ruleset.title'),
+        t('control.confirm.ruleset.body', { ruleset: selected ? selected.name : ruleset }),
+        () => {
+            sendAction({ type: 'SET_RULESET', ruleset });
+        }
+    );
+    // Keep showing the active ruleset until the server confirms the change
+    if (currentState) {
+        rulesetSelect.value = currentState.ruleset;
+    }
+});
+
+// Best-of selector
+bestOfSelect.addEventListener('change', () => {
+    const bestOf = Number(bestOfSelect.value);
+    sendAction({ type: 'SET_BEST_OF', bestOf });
+    // Keep showing the active best-of until the server confirms the change
+    if (currentState) {
+        bestOfSelect.value = String(currentState.set.bestOf);
+    }
+});
+
+// Result buttons
+resultBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        const winner = btn.dataset.winner;
+        showModal(
+            t('control.confirm.result.title'),
+            t('control.confirm.result.body', { player: getPlayerTag(winner), game: currentState.set.game }),
+            () => {
+                sendAction({ type: 'REPORT_RESULT', winner });
+            }
+        );
+    });
+});
+
+// Players buttons
+editPlayersBtn.addEventListener('click', () => {
+    showPlayersModal();
+});
+
+swapRolesBtn.addEventListener('click', () => {
+    sendAction({ type: 'SWAP_ROLES' });
+});
+
+// New set button
+newSetBtn.addEventListener('click', () => {
+    showModal(
+        t('control.confirm.newSet.title'),
+        t('control.confirm.newSet.body'),
+        () => {
+            sendAction({ type: 'RESET_SET' });
+        }
+    );
+});
+
+// DSR selector (empty value = ruleset default)
+dsrSelect.addEventListener('change', () => {
+    const dsr = dsrSelect.value || null;
+    sendAction({ type: 'SET_DSR', dsr });
+});
+
+// First striker method (empty value = ruleset default)
+firstStrikerSelect.addEventListener('change', () => {
+    const firstStriker = firstStrikerSelect.value || null;
+    sendAction({ type: 'SET_FIRST_STRIKER', firstStriker });
+});
+
+// Timer selectors ("Ruleset" = drop the override)
+function handleTimerChange() {
+    const seconds = timerSecondsSelect.value;
+    const timer = seconds === ''
+        ? null
+        : { seconds: Number(seconds), per: timerPerSelect.value, onExpire: timerExpireSelect.value };
+    sendAction({ type: 'SET_TIMER', timer });
+}
+
+// Changing the behaviour while on "Ruleset" starts a custom 30 s timer
+function handleTimerOptionChange() {
+    if (timerSecondsSelect.value === '') {
+        timerSecondsSelect.value = '30';
+    }
+    handleTimerChange();
+}
+
+timerSecondsSelect.addEventListener('change', handleTimerChange);
+timerPerSelect.addEventListener('change', handleTimerOptionChange);
+timerExpireSelect.addEventListener('change', handleTimerOptionChange);
+
+// Create the match from the "not found" screen (arbiter)
+createMatchBtn.addEventListener('click', () => {
+    socket.emit('match:create', { matchId });
+});
+
+// Language picker: saved on this device, the page re-renders in place
+langSelect.addEventListener('change', async () => {
+    await changeLocale('control', langSelect.value);
+    updateConnectionStatus(connectionState);
+    renderStageGrid();
+    if (socket.connected) {
+        renderAccessRole();
+    }
+    if (document.body.classList.contains('match-missing')) {
+        renderMatchMissing();
+    }
+    renderState();
+});
+
 // Undo button
 undoBtn.addEventListener('click', () => {
-    socket.emit('action', { matchId, type: 'UNDO' });
+    sendAction({ type: 'UNDO' });
+});
+
+// Redo button
+redoBtn.addEventListener('click', () => {
+    sendAction({ type: 'REDO' });
 });
 
 // Reset button - NOW USES CUSTOM MODAL
 resetBtn.addEventListener('click', () => {
     showModal(
-        '🔄 Resetear Selección',
-        '¿Estás seguro de que quieres resetear todos los bans y picks?',
+        t('control.confirm.reset.title'),
+        t('control.confirm.reset.body'),
         () => {
             console.log('Sending RESET action for match:', matchId);
-            socket.emit('action', { matchId, type: 'RESET' });
+            sendAction({ type: 'RESET' });
         }
     );
 });
@@ -302,10 +915,10 @@ resetBtn.addEventListener('click', () => {
 if (forcePhaseBtn) {
     forcePhaseBtn.addEventListener('click', () => {
         showModal(
-            '⏭️ Forzar Siguiente Fase',
-            '¿Forzar avance a la siguiente fase? (Solo árbitro)',
+            t('control.confirm.forcePhase.title'),
+            t('control.confirm.forcePhase.body'),
             () => {
-                socket.emit('action', { matchId, type: 'FORCE_NEXT_PHASE' });
+                sendAction({ type: 'FORCE_NEXT_PHASE' });
             }
         );
     });
@@ -315,9 +928,10 @@ if (forcePhaseBtn) {
 // UI HELPERS
 // ============================================================================
 
-function updateConnectionStatus(status, text) {
+function updateConnectionStatus(status) {
+    connectionState = status;
     connectionStatus.className = `connection-status ${status}`;
-    connectionStatus.querySelector('.status-text').textContent = text;
+    connectionStatus.querySelector('.status-text').textContent = t(`control.connection.${status}`);
 }
 
 function showToast(message, type = 'info') {
@@ -336,3 +950,6 @@ function showToast(message, type = 'info') {
 // ============================================================================
 
 init();
+
+// Tick the turn timer countdown between state updates
+setInterval(renderTimer, 250);
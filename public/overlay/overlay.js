@@ -8,45 +8,103 @@
    
    Only PERSISTENT TILES - no auto-fading popups
    Tiles stay visible until Reset or phase change
+
+   New tiles are queued and animated one after another, so quick bans never
+   skip an announcement. Per-scene behaviour via query params:
+   - anim=slide|flip|stamp|none  tile entrance (default: slide)
+   - exit=fade|slide|none        tile exit on undo/reset (default: fade)
+   - reveal=0                    no full-screen "stage chosen" reveal on PICK
    ============================================================================ */
 
-// Get match ID from URL query params
-const urlParams = new URLSearchParams(window.location.search);
-const matchId = urlParams.get('match') || 'default';
+// Animation options (match and token: see shared/common.js)
+const ENTRANCES = ['slide', 'flip', 'stamp', 'none'];
+const EXITS = ['fade', 'slide', 'none'];
+const entrance = ENTRANCES.includes(urlParams.get('anim')) ? urlParams.get('anim') : 'slide';
+const exit = EXITS.includes(urlParams.get('exit')) ? urlParams.get('exit') : 'fade';
+const showReveal = urlParams.get('reveal') !== '0';
+
+// Timings (ms), kept in sync with overlay.css
+const TILE_STAGGER_MS = 600;
+const TILE_EXIT_MS = 400;
+const REVEAL_MS = 2800;
+const STRIKER_REVEAL_MS = 3500;
+
+// Broadcast language unless the source URL has ?lang=
+const DEFAULT_LOCALE = 'en';
 
 // DOM Elements
 const stageGrid = document.getElementById('stageGrid');
 const banHistoryContainer = document.getElementById('banHistoryContainer');
+const setInfo = document.getElementById('setInfo');
+const setInfoGame = document.getElementById('setInfoGame');
+const setInfoScore = document.getElementById('setInfoScore');
+const setInfoBestOf = document.getElementById('setInfoBestOf');
+const phaseBanner = document.getElementById('phaseBanner');
+const phaseTimer = document.getElementById('phaseTimer');
+const stageReveal = document.getElementById('stageReveal');
+const strikerReveal = document.getElementById('strikerReveal');
 
-// State
-let stages = [];
-let currentState = null;
+// Animation queue: tiles waiting to enter, played in order
+const tileQueue = [];
+let tileQueueRunning = false;
+let hasRendered = false;
 
 // ============================================================================
 // SOCKET.IO CONNECTION
 // ============================================================================
 
-const socket = io();
+// Connects from init(), once the UI strings are loaded
+const socket = io({ auth: { token }, autoConnect: false });
 
 socket.on('connect', () => {
     console.log('✅ Overlay connected to server');
-    socket.emit('join', { matchId });
+    socket.emit('join', { matchId, client: 'overlay' });
 });
 
 socket.on('disconnect', () => {
     console.log('❌ Overlay disconnected');
 });
 
+// Admin renamed this match: follow it to the new ID
+socket.on('match:renamed', (rename) => {
+    followRename(socket, rename, 'overlay');
+});
+
+socket.on('match:deleted', () => {
+    socket.emit('join', { matchId, client: 'overlay' });
+});
+
+// Unknown or expired match: stay blank until it's created
+socket.on('match:notFound', () => {
+    console.warn('⚠️ Match not found:', matchId);
+    document.body.classList.add('match-missing');
+});
+
+// Stage catalog edited from the admin dashboard (tiles already shown keep
+// their image until the next reset)
+socket.on('stages:update', (update) => {
+    if (!applyStagesUpdate(update)) return;
+    renderStageGrid();
+});
+
 socket.on('state:update', (state) => {
     console.log('📦 Overlay received state:update', state);
-    currentState = state;
+    applyState(state, showCatalog);
+    renderSetInfo();
+    renderPhaseBanner();
+    renderTimer();
     renderBanHistory();
     renderStageGrid();
 });
 
-// We still receive event:push but don't show popups anymore
+// Tiles are animated from state:update (it arrives first and also covers
+// undo/reset); only the first striker outcome has its own announcement
 socket.on('event:push', (event) => {
-    console.log('🎯 Event received (no popup):', event);
+    console.log('🎯 Event received:', event);
+
+    if (event.type === 'FIRST_STRIKER' && showReveal) {
+        playStrikerReveal(event);
+    }
 });
 
 // ============================================================================
@@ -55,10 +113,18 @@ socket.on('event:push', (event) => {
 
 async function init() {
     console.log('🚀 Overlay initializing for match:', matchId);
+    await loadLocale('overlay', DEFAULT_LOCALE);
+    socket.connect();
+}
+
+// Loads the match's game catalog (again when the match switches game), then
+// redraws the tiles and the grid with its images
+async function showCatalog(videogame) {
     try {
-        const response = await fetch('/api/stages');
-        stages = await response.json();
-        console.log('📋 Loaded', stages.length, 'stages');
+        const game = await loadCatalog(videogame);
+        if (!game) return;
+
+        console.log('📋 Loaded', stages.length, 'stages for', game.name);
         renderBanHistory();
         renderStageGrid();
     } catch (err) {
@@ -66,62 +132,232 @@ async function init() {
     }
 }
 
+// ============================================================================
+// SET INFO - Game number and running score
+// ============================================================================
+
+function renderSetInfo() {
+    if (!setInfo || !currentState?.set) return;
+
+    const { game, score, bestOf, winner } = currentState.set;
+    setInfoGame.textContent = winner ? t('overlay.set.final') : t('overlay.set.game', { game });
+    setInfoScore.textContent = `${getPlayerTag('P1')} ${score.P1} - ${score.P2} ${getPlayerTag('P2')}`;
+    setInfoBestOf.textContent = t('overlay.set.bestOf', { bestOf });
+    setInfo.classList.add('visible');
+}
+
+// ============================================================================
+// PHASE BANNER - "Coyote bans 3" / "Coyote picks"
+// ============================================================================
+
+function renderPhaseBanner() {
+    if (!phaseBanner || !currentState) return;
+
+    const { phase, steps, step, actingPlayer } = currentState;
+    if (phase === 'FIRST_STRIKER') {
+        phaseBanner.textContent = getFirstStrikerText();
+        phaseBanner.classList.add('pick', 'visible');
+        return;
+    }
+    if (phase === 'DONE' || !actingPlayer) {
+        phaseBanner.classList.remove('visible');
+        return;
+    }
+
+    const actor = getPlayerTag(actingPlayer);
+    phaseBanner.textContent = phase.endsWith('_BAN')
+        ? t('overlay.phase.ban', { actor, count: steps[step].count })
+        : t('overlay.phase.pick', { actor });
+    phaseBanner.classList.toggle('pick', phase.endsWith('_PICK'));
+    phaseBanner.classList.add('visible');
+}
+
+function getFirstStrikerText() {
+    const { method, chooser } = currentState.firstStriker;
+    if (method === 'rps') return t('overlay.firstStriker.rps');
+    if (method === 'seed') return t('overlay.firstStriker.seed', { player: getPlayerTag(chooser) });
+    return t('overlay.firstStriker.coin');
+}
+
+// ============================================================================
+// TURN TIMER - Countdown for the acting player
+// ============================================================================
+
+function renderTimer() {
+    if (!phaseTimer) return;
+
+    renderCountdown(phaseTimer, currentState?.timer, timerEndsAt, { expired: t('overlay.timer.expired') });
+}
+
 // ============================================================================
 // BAN HISTORY - PERSISTENT TILES (Main display)
 // These tiles STAY VISIBLE until state changes
 // ============================================================================
 
+// Tiles the current state should show, in order: bans, then the pick
+function getWantedTiles() {
+    if (!currentState || !stages.length) {
+        return [];
+    }
+
+    const { bans = [], pick, actions = [] } = currentState;
+
+    // Who made each ban/pick, by stage
+    const playerByStage = {};
+    actions.forEach(({ stageId, player }) => {
+        playerByStage[stageId] = player;
+    });
+
+    const wanted = bans.map(stageId => ({ stageId, type: 'ban', player: playerByStage[stageId] }));
+    if (pick) {
+        wanted.push({ stageId: pick, type: 'pick', player: playerByStage[pick] });
+    }
+    return wanted.filter(({ stageId }) => stages.some(s => s.id === stageId));
+}
+
+function getTileKey({ stageId, type }) {
+    return `${type}:${stageId}`;
+}
+
+/**
+ * Syncs the tiles with the current state instead of rebuilding them:
+ * tiles already shown stay put, missing ones are queued to animate in and
+ * stale ones (undo/reset) animate out. The first render after loading the
+ * page shows everything instantly.
+ */
 function renderBanHistory() {
     if (!banHistoryContainer) {
         console.warn('banHistoryContainer not found');
         return;
     }
 
-    // Clear and rebuild from current state
-    banHistoryContainer.innerHTML = '';
+    const wanted = getWantedTiles();
+    const wantedKeys = wanted.map(getTileKey);
 
-    if (!currentState || !stages.length) {
-        return;
+    // Remove tiles the state no longer has
+    banHistoryContainer.querySelectorAll('.history-tile:not(.leaving)').forEach(tile => {
+        if (!wantedKeys.includes(tile.dataset.key)) {
+            removeTile(tile);
+        }
+    });
+
+    const animate = hasRendered && entrance !== 'none';
+    if (stages.length && currentState) {
+        hasRendered = true;
     }
 
-    const { bans, pick } = currentState;
+    wanted.forEach(entry => {
+        const key = getTileKey(entry);
+        const shown = banHistoryContainer.querySelector(`.history-tile[data-key="${key}"]:not(.leaving)`);
 
-    // Render all banned stages
-    if (bans && bans.length > 0) {
-        bans.forEach((stageId) => {
-            const stage = stages.find(s => s.id === stageId);
-            if (!stage) return;
+        if (shown) {
+            updateTilePlayer(shown, entry.player);
+        } else if (!animate) {
+            banHistoryContainer.appendChild(createHistoryTile(entry));
+        } else if (!tileQueue.includes(key)) {
+            tileQueue.push(key);
+        }
+    });
 
-            const tile = createHistoryTile(stage, 'ban');
-            banHistoryContainer.appendChild(tile);
-        });
-    }
+    runTileQueue();
+}
 
-    // Render picked stage if exists
-    if (pick) {
-        const stage = stages.find(s => s.id === pick);
-        if (stage) {
-            const tile = createHistoryTile(stage, 'pick');
-            banHistoryContainer.appendChild(tile);
+async function runTileQueue() {
+    if (tileQueueRunning) return;
+    tileQueueRunning = true;
+
+    while (tileQueue.length) {
+        const key = tileQueue.shift();
+
+        // Undone or reset while it was waiting
+        const entry = getWantedTiles().find(t => getTileKey(t) === key);
+        if (!entry) continue;
+
+        if (entry.type === 'pick' && showReveal) {
+            await playStageReveal(entry);
+            if (!getWantedTiles().some(t => getTileKey(t) === key)) continue;
         }
+
+        const tile = createHistoryTile(entry);
+        tile.classList.add(`enter-${entrance}`);
+        banHistoryContainer.appendChild(tile);
+        await wait(TILE_STAGGER_MS);
+    }
+
+    tileQueueRunning = false;
+}
+
+function removeTile(tile) {
+    if (exit === 'none') {
+        tile.remove();
+        return;
     }
+
+    tile.classList.add('leaving', `exit-${exit}`);
+    setTimeout(() => tile.remove(), TILE_EXIT_MS);
+}
+
+function updateTilePlayer(tile, player) {
+    const label = tile.querySelector('.tile-player');
+    if (label && player) {
+        label.textContent = getPlayerTag(player);
+    }
+}
+
+// Full-screen "stage chosen" announcement before the pick tile appears
+async function playStageReveal({ stageId, player }) {
+    if (!stageReveal) return;
+
+    const stage = stages.find(s => s.id === stageId);
+    stageReveal.innerHTML = `
+    <div class="reveal-label">${player ? escapeHtml(t('overlay.reveal.picks', { player: getPlayerTag(player) })) : t('overlay.reveal.selected')}</div>
+    <img class="reveal-image" src="${getStageImage(stage)}" alt="${escapeHtml(getLocalizedStageName(stage))}" onerror="this.style.display='none'">
+    <div class="reveal-name">${escapeHtml(getLocalizedStageName(stage))}</div>
+  `;
+    stageReveal.classList.add('visible');
+    await wait(REVEAL_MS);
+    stageReveal.classList.remove('visible');
 }
 
-function createHistoryTile(stage, type) {
+// "Coyote strikes first" with how it was decided (RPS shows both throws)
+async function playStrikerReveal({ method, player, choices }) {
+    if (!strikerReveal) return;
+
+    const detail = choices
+        ? `${escapeHtml(getPlayerTag('P1'))} ${RPS_ICONS[choices.P1]} vs ${RPS_ICONS[choices.P2]} ${escapeHtml(getPlayerTag('P2'))}`
+        : t(`overlay.firstStriker.method.${method}`);
+    strikerReveal.innerHTML = `
+    <div class="striker-reveal-method">${detail}</div>
+    <div class="striker-reveal-player">${escapeHtml(t('overlay.firstStriker.result', { player: getPlayerTag(player) }))}</div>
+  `;
+    strikerReveal.classList.add('visible');
+    await wait(STRIKER_REVEAL_MS);
+    strikerReveal.classList.remove('visible');
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createHistoryTile({ stageId, type, player }) {
+    const stage = stages.find(s => s.id === stageId);
     const tile = document.createElement('div');
     tile.className = `history-tile ${type}`;
     tile.dataset.stageId = stage.id;
+    tile.dataset.key = getTileKey({ stageId, type });
     tile.innerHTML = `
-    <div class="tile-label">${type === 'ban' ? 'BANNED' : 'STAGE'}</div>
+    <div class="tile-label">${t(`overlay.tile.${type}`)}</div>
     <div class="tile-image-container">
       <img 
         class="tile-image" 
-        src="/assets/stages/${stage.id}.png" 
-        alt="${stage.name}"
+        src="${getStageImage(stage)}" 
+        alt="${escapeHtml(getLocalizedStageName(stage))}"
         onerror="this.style.display='none'"
       >
     </div>
-    <div class="tile-name">${stage.name}</div>
+    <div class="tile-name">${escapeHtml(getLocalizedStageName(stage))}</div>
+    ${player ? `<div class="tile-player">${escapeHtml(getPlayerTag(player))}</div>` : ''}
+    <div class="tile-stamp">${t(`overlay.stamp.${type}`)}</div>
   `;
     return tile;
 }
@@ -133,7 +369,12 @@ function createHistoryTile(stage, type) {
 function renderStageGrid() {
     if (!stageGrid) return;
 
-    stageGrid.innerHTML = stages.map(stage => {
+    // Only show the stages legal in the match's ruleset for this mode
+    const visibleStages = currentState?.stages
+        ? stages.filter(stage => currentState.stages.includes(stage.id))
+        : stages;
+
+    stageGrid.innerHTML = visibleStages.map(stage => {
         const isBanned = currentState?.bans?.includes(stage.id);
         const isPicked = currentState?.pick === stage.id;
         const classes = ['stage-card'];
@@ -144,11 +385,11 @@ function renderStageGrid() {
       <div class="${classes.join(' ')}" data-id="${stage.id}">
         <img 
           class="stage-image" 
-          src="/assets/stages/${stage.id}.png" 
-          alt="${stage.name}"
+          src="${getStageImage(stage)}" 
+          alt="${escapeHtml(getLocalizedStageName(stage))}"
           onerror="this.style.display='none'"
         >
-        <div class="stage-name">${stage.short || stage.name}</div>
+        <div class="stage-name">${escapeHtml(stage.names?.[i18nLocale] || stage.short || stage.name)}</div>
       </div>
     `;
     }).join('');
@@ -159,3 +400,6 @@ function renderStageGrid() {
 // ============================================================================
 
 init();
+
+// Tick the turn timer countdown between state updates
+setInterval(renderTimer, 250);
@@ -0,0 +1,126 @@
+/**
+ * Smash OBS API - Shared helpers (control, overlay, admin and stats)
+ * Made by: Julio Rubio
+ */
+
+/* ============================================================================
+   Loaded as a plain script before each page's own script (after i18n.js on
+   control and overlay), so everything here is global. The match and stage
+   catalog state (currentState, stages...) lives here; the pages read it
+   and redraw themselves.
+   ============================================================================ */
+
+// Page URL: ?token= on every page, ?match= on control and overlay
+const urlParams = new URLSearchParams(window.location.search);
+const token = urlParams.get('token');
+let matchId = urlParams.get('match') || 'default';
+
+// Turn timer: seconds left at which the countdown turns red
+const TIMER_LOW_SECONDS = 5;
+
+// First striker pre-phase
+const RPS_ICONS = { rock: '✊', paper: '✋', scissors: '✌️' };
+
+let currentState = null;
+let timerEndsAt = null;      // local end of the turn timer (see applyState)
+let stages = [];             // catalog of the match's game (catalogVideogame)
+let stageAssets = null;      // that game's image folder URL
+let catalogVideogame = null;
+
+// ============================================================================
+// MATCH STATE - Shared by the control and the overlay
+// ============================================================================
+
+// state:update: keeps the state, loads the catalog through the page's
+// showCatalog when the match plays another game, and counts down locally
+// from the server's remaining time (clocks may differ)
+function applyState(state, showCatalog) {
+    currentState = state;
+    document.body.classList.remove('match-missing');
+
+    if (state.videogame !== catalogVideogame) {
+        showCatalog(state.videogame);
+    }
+    timerEndsAt = state.timer ? Date.now() + state.timer.remainingMs : null;
+}
+
+// match:renamed: follows the match to its new ID (URL included). False when
+// it was another match
+function followRename(socket, { from, to }, client) {
+    if (from !== matchId) return false;
+
+    matchId = to;
+    urlParams.set('match', to);
+    history.replaceState(null, '', `?${urlParams}`);
+    socket.emit('join', { matchId, client });
+    return true;
+}
+
+// Tag of the player in a slot, falling back to the slot itself
+function getPlayerTag(slot) {
+    return currentState?.players?.[slot]?.tag || slot;
+}
+
+// ============================================================================
+// STAGE CATALOG - Each game has its own stage list and images
+// ============================================================================
+
+// Loads the stage catalog of a game. Resolves with the game, or null when
+// another game was asked for while this one was loading
+async function loadCatalog(videogame) {
+    catalogVideogame = videogame;
+    const response = await fetch(`/api/games/${encodeURIComponent(videogame)}`);
+    if (!response.ok) {
+        throw new Error(`Game not found: ${videogame}`);
+    }
+
+    const game = await response.json();
+    if (game.id !== catalogVideogame) return null;
+
+    stages = game.stages;
+    stageAssets = game.assets;
+    return game;
+}
+
+// stages:update (catalog edited from the admin dashboard): true when it's
+// the catalog shown here
+function applyStagesUpdate({ videogame, stages: list }) {
+    if (videogame !== catalogVideogame) return false;
+    stages = list;
+    return true;
+}
+
+// imageVersion changes when a new image is uploaded, bypassing the cache
+function getStageImage(stage) {
+    return `${stageAssets}/${stage.id}.png${stage.imageVersion ? `?v=${stage.imageVersion}` : ''}`;
+}
+
+// Tags, match IDs and stage names are user input or data files, so never
+// inject them as raw HTML (quotes too, for attributes)
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// TURN TIMER - Countdown for the acting player
+// ============================================================================
+
+// Counts down to endsAt (local time, see state:update) in the .phase-timer
+// element; `expired` is shown once the server reports it ran out
+function renderCountdown(element, timer, endsAt, { expired, prefix = '' }) {
+    element.className = 'phase-timer';
+    if (!timer || endsAt === null) return;
+
+    const seconds = Math.ceil(Math.max(0, endsAt - Date.now()) / 1000);
+    element.classList.add('visible');
+    if (timer.expired) {
+        element.classList.add('expired');
+        element.textContent = expired;
+        return;
+    }
+
+    element.classList.toggle('low', seconds <= TIMER_LOW_SECONDS);
+    element.textContent = `${prefix}${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,96 @@
+/**
+ * Smash OBS API - Translations (control and overlay)
+ * Made by: Julio Rubio
+ */
+
+/* ============================================================================
+   I18N - UI strings from /api/locales, chosen per client type:
+   ?lang=ja in the URL, else the language saved on this device, else the
+   client's default. Strings use {placeholders}; static HTML is translated
+   through data-i18n="key" (text) and data-i18n-placeholder="key".
+
+   Loaded as a plain script before control.js / overlay.js, so everything
+   here is global: names are prefixed to stay clear of the page scripts.
+   ============================================================================ */
+
+const I18N_STORAGE_PREFIX = 'smash-obs-lang:';
+
+let i18nLocale = null;
+let i18nStrings = {};
+
+// Loads the requested locale, or the client's default if it doesn't exist
+async function loadLocale(client, defaultLocale) {
+    const requested = new URLSearchParams(window.location.search).get('lang')
+        || getSavedLocale(client)
+        || defaultLocale;
+
+    try {
+        let response = await fetch(`/api/locales/${encodeURIComponent(requested)}`);
+        if (!response.ok) {
+            console.warn(`⚠️ Locale not found: ${requested}, using ${defaultLocale}`);
+            response = await fetch(`/api/locales/${encodeURIComponent(defaultLocale)}`);
+        }
+        const locale = await response.json();
+        i18nLocale = locale.id;
+        i18nStrings = locale.strings;
+    } catch (err) {
+        console.error('Failed to load locale:', err);
+    }
+
+    document.documentElement.lang = i18nLocale || defaultLocale;
+    applyTranslations();
+    return i18nLocale;
+}
+
+// Remembers the choice on this device; a ?lang in the URL follows it too
+async function changeLocale(client, localeId) {
+    try {
+        localStorage.setItem(I18N_STORAGE_PREFIX + client, localeId);
+    } catch {
+        // Storage can be disabled (private mode, some browser sources)
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('lang')) {
+        params.set('lang', localeId);
+        history.replaceState(null, '', `?${params}`);
+    }
+    return loadLocale(client, localeId);
+}
+
+function getSavedLocale(client) {
+    try {
+        return localStorage.getItem(I18N_STORAGE_PREFIX + client);
+    } catch {
+        return null;
+    }
+}
+
+// t('control.turn.waiting', { player: 'Coyote' }) -> "⏳ Esperando a Coyote..."
+function t(key, params = {}) {
+    const text = i18nStrings[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function hasTranslation(key) {
+    return key in i18nStrings;
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+}
+
+// Stage name in the current locale ("names" in the stage list), else the default
+function getLocalizedStageName(stage) {
+    return stage.names?.[i18nLocale] || stage.name;
+}
+
+// Times in the timeline and logs follow the UI language
+function formatTime(ts) {
+    return new Date(ts).toLocaleTimeString(i18nLocale || undefined);
+}
@@ -0,0 +1,181 @@
+/**
+ * Smash OBS API - Stats Page
+ * Made by: Julio Rubio
+ */
+
+/* ============================================================================
+   STATS UI - Most banned stages, counterpicks, G1 finals and per-player
+   tendencies from every reported game (refreshes on its own)
+   ============================================================================ */
+
+// DOM Elements
+const summary = document.getElementById('summary');
+const videogameFilter = document.getElementById('videogameFilter');
+const rulesetFilter = document.getElementById('rulesetFilter');
+const playerFilter = document.getElementById('playerFilter');
+const bansBody = document.getElementById('bansBody');
+const counterpicksBody = document.getElementById('counterpicksBody');
+const g1Body = document.getElementById('g1Body');
+const playersBody = document.getElementById('playersBody');
+const exportLinks = {
+    '/api/stats?download=1': document.getElementById('exportJson'),
+    '/api/stats/stages.csv': document.getElementById('exportStages'),
+    '/api/stats/players.csv': document.getElementById('exportPlayers'),
+    '/api/stats/games.csv': document.getElementById('exportGames')
+};
+
+// Stats are only recomputed on the server when asked, so poll
+const REFRESH_MS = 30000;
+
+// State
+let stats = null;
+let games = [];
+let rulesets = [];
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+async function init() {
+    try {
+        [games, rulesets] = await Promise.all([
+            fetch('/api/games').then(res => res.json()),
+            fetch('/api/rulesets').then(res => res.json())
+        ]);
+        videogameFilter.innerHTML += games.map(g => `<option value="${escapeHtml(g.id)}">${escapeHtml(g.name)}</option>`).join('');
+        renderRulesetFilter();
+    } catch (err) {
+        console.error('Failed to load rulesets:', err);
+    }
+    loadStats();
+}
+
+async function loadStats() {
+    const params = new URLSearchParams();
+    if (videogameFilter.value) params.set('videogame', videogameFilter.value);
+    if (rulesetFilter.value) params.set('ruleset', rulesetFilter.value);
+    const query = params.toString();
+    updateExportLinks(query);
+
+    try {
+        const response = await fetch(`/api/stats${query ? `?${query}` : ''}`);
+        stats = await response.json();
+        renderStats();
+    } catch (err) {
+        console.error('Failed to load stats:', err);
+        summary.textContent = 'Error cargando estadísticas';
+    }
+}
+
+// Exports follow the current filter
+function updateExportLinks(query) {
+    for (const [url, link] of Object.entries(exportLinks)) {
+        link.href = query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+    }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+// Only the rulesets of the chosen game
+function renderRulesetFilter() {
+    const selected = rulesetFilter.value;
+    const shown = rulesets.filter(r => !videogameFilter.value || r.videogame === videogameFilter.value);
+    rulesetFilter.innerHTML = '<option value="">Todos los rulesets</option>' +
+        shown.map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(r.name)}</option>`).join('');
+    rulesetFilter.value = shown.some(r => r.id === selected) ? selected : '';
+}
+
+function renderStats() {
+    const updated = new Date(stats.generatedAt).toLocaleTimeString();
+    summary.textContent = `${stats.games} partida${stats.games === 1 ? '' : 's'} reportada${stats.games === 1 ? '' : 's'} · ${updated}`;
+
+    const banned = stats.stages.filter(s => s.bans > 0);
+    const maxBans = Math.max(1, ...banned.map(s => s.bans));
+    bansBody.innerHTML = renderRows(banned.map(s => `
+      <tr>
+        <td>${formatStage(s)}</td>
+        <td><div class="bar" style="width: ${Math.round((s.bans / maxBans) * 100)}%"></div> ${s.bans}</td>
+        <td class="muted">${s.g1Bans}</td>
+        <td class="muted">${s.counterpickBans}</td>
+      </tr>
+    `), 4);
+
+    counterpicksBody.innerHTML = renderShareRows(stats.stages, 'counterpicks');
+    g1Body.innerHTML = renderShareRows(stats.stages, 'g1Finals');
+    renderPlayers();
+}
+
+// Stages sorted by one count, with their share of the total
+function renderShareRows(stages, field) {
+    const rows = stages.filter(s => s[field] > 0).sort((a, b) => b[field] - a[field]);
+    const total = rows.reduce((sum, s) => sum + s[field], 0);
+
+    return renderRows(rows.map(s => `
+      <tr>
+        <td>${formatStage(s)}</td>
+        <td><div class="bar pick" style="width: ${Math.round((s[field] / total) * 100)}%"></div> ${s[field]}</td>
+        <td class="muted">${Math.round((s[field] / total) * 100)}%</td>
+      </tr>
+    `), 3);
+}
+
+function renderPlayers() {
+    if (!stats) return;
+
+    const search = playerFilter.value.trim().toLowerCase();
+    const players = stats.players.filter(p => p.tag.toLowerCase().includes(search));
+
+    playersBody.innerHTML = renderRows(players.map(p => `
+      <tr>
+        <td><strong>${escapeHtml(p.tag)}</strong></td>
+        <td>${p.games}</td>
+        <td>${p.wins} <span class="muted">(${Math.round((p.wins / p.games) * 100)}%)</span></td>
+        <td>${formatTop(p.bans, p.mostBanned)}</td>
+        <td>${formatTop(p.counterpicks, p.mostCounterpicked)}</td>
+        <td>${formatTop(p.stageWins, p.bestStage)}</td>
+      </tr>
+    `), 6);
+}
+
+// "Battlefield ×4" for the top stage of a player's counts
+function formatTop(counts, stageId) {
+    if (!stageId) return '<span class="muted">—</span>';
+    return `${escapeHtml(getStageName(stageId))} <span class="muted">×${counts[stageId]}</span>`;
+}
+
+// Stage name, with its game when the stats mix several
+function formatStage(stage) {
+    const mixed = new Set(stats.stages.map(s => s.videogame)).size > 1;
+    const game = games.find(g => g.id === stage.videogame);
+    const label = escapeHtml(stage.name);
+    return mixed ? `${label} <span class="muted">${escapeHtml(game ? game.short : stage.videogame)}</span>` : label;
+}
+
+function renderRows(rows, columns) {
+    return rows.join('') || `<tr class="empty-row"><td colspan="${columns}">Sin datos todavía</td></tr>`;
+}
+
+function getStageName(stageId) {
+    const stage = stats.stages.find(s => s.stageId === stageId);
+    return stage ? stage.name : stageId;
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+videogameFilter.addEventListener('change', () => {
+    renderRulesetFilter();
+    loadStats();
+});
+rulesetFilter.addEventListener('change', loadStats);
+playerFilter.addEventListener('input', renderPlayers);
+
+// ============================================================================
+// START
+// ============================================================================
+
+init();
+setInterval(loadStats, REFRESH_MS);
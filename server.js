@@ -10,15 +10,29 @@ const { Server } = require('socket.io');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { createStartggClient, normalizeStageName } = require('./lib/startgg');
+const { createObsClient } = require('./lib/obs');
+
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*'; // Socket.IO and the live feeds
 
 const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
-  cors: { origin: '*' }
+  cors: { origin: CORS_ORIGIN }
 });
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0'; // Listen on all interfaces for LAN access
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, 'state'); // Match snapshots
+const ARCHIVE_FILE = process.env.ARCHIVE_FILE || path.join(STATE_DIR, 'archive.jsonl'); // Finished sets
+const MATCH_TTL_MINUTES = Number(process.env.MATCH_TTL_MINUTES ?? 360); // Idle match expiry, 0 = never
+const MAX_MATCHES = Number(process.env.MAX_MATCHES || 100); // Live matches at once
+const ACCESS_FILE = process.env.ACCESS_FILE || path.join(__dirname, 'data', 'access.json');
+const STARTGG_AUTO_REPORT = process.env.STARTGG_AUTO_REPORT !== 'false'; // Report finished sets
+const OBS_CONFIG = process.env.OBS_CONFIG || path.join(__dirname, 'data', 'obs.json');
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || path.join(STATE_DIR, 'webhooks', 'registry.json'); // Own folder: never read as a match
+const DEFAULT_GAME = process.env.DEFAULT_GAME || 'ultimate'; // Game profile of new matches
 
 // ============================================================================
 // LAN IP DETECTION
@@ -37,9 +51,386 @@ function getLanIP() {
   return 'localhost';
 }
 
-// Load stages data
-const stages = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'stages.json'), 'utf8'));
-const stageIds = stages.map(s => s.id);
+// ============================================================================
+// GAME PROFILES
+// ============================================================================
+
+/**
+ * Every game the server runs brackets for has a profile in data/games/*.json
+ * with its own stage list, image folder and default ruleset:
+ *
+ * {
+ *   "id": "melee",
+ *   "name": "Super Smash Bros. Melee",
+ *   "short": "SSBM",
+ *   "stagesFile": "stages/melee.json",   // under data/
+ *   "assets": "assets/stages/melee",     // under public/, one <stageId>.png each
+ *   "defaultRuleset": "melee-singles",
+ *   "startggVideogameId": 1              // optional, picks the game for linked sets
+ * }
+ *
+ * Rulesets name their game ("videogame", DEFAULT_GAME when omitted) and a
+ * match plays the game of its ruleset. "videogame" is the profile id in match
+ * state, feeds and stats, where "game" already means the game of the set.
+ * Stage catalogs are edited at runtime, see STAGE CATALOG.
+ */
+
+const GAME_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const DATA_DIR = path.join(__dirname, 'data');
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// Resolves a path from a profile, refusing anything outside `root`
+function resolveGamePath(root, relative) {
+  if (typeof relative !== 'string' || !relative) {
+    return null;
+  }
+  const resolved = path.resolve(root, relative);
+  return resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+function loadGames() {
+  const dir = path.join(DATA_DIR, 'games');
+  const loaded = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    const profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const stagesFile = resolveGamePath(DATA_DIR, profile.stagesFile);
+    const imageDir = resolveGamePath(PUBLIC_DIR, profile.assets);
+
+    let error = null;
+    if (typeof profile.id !== 'string' || !GAME_ID_PATTERN.test(profile.id)) {
+      error = `Invalid id: ${profile.id}`;
+    } else if (!profile.name || typeof profile.name !== 'string') {
+      error = 'Missing name';
+    } else if (!stagesFile || !fs.existsSync(stagesFile)) {
+      error = `Stage list not found: ${profile.stagesFile}`;
+    } else if (!imageDir) {
+      error = `Invalid assets folder: ${profile.assets}`;
+    } else if (!profile.defaultRuleset) {
+      error = 'Missing defaultRuleset';
+    }
+    if (error) {
+      console.warn(`⚠️  Skipping game ${file}: ${error}`);
+      continue;
+    }
+
+    loaded.set(profile.id, {
+      id: profile.id,
+      name: profile.name,
+      short: profile.short || profile.name,
+      assets: `/${path.relative(PUBLIC_DIR, imageDir).split(path.sep).join('/')}`,
+      defaultRuleset: profile.defaultRuleset,
+      startggVideogameId: profile.startggVideogameId ? String(profile.startggVideogameId) : null,
+      stagesFile,
+      imageDir,
+      stages: JSON.parse(fs.readFileSync(stagesFile, 'utf8'))
+    });
+  }
+
+  if (!loaded.has(DEFAULT_GAME)) {
+    throw new Error(`Default game not found: ${DEFAULT_GAME}`);
+  }
+  return loaded;
+}
+
+const games = loadGames();
+
+function getGame(gameId) {
+  return games.get(gameId) || null;
+}
+
+// What clients see of a profile (no server paths)
+function getGameInfo(game) {
+  const { id, name, short, assets, defaultRuleset, startggVideogameId } = game;
+  return { id, name, short, assets, defaultRuleset, startggVideogameId };
+}
+
+function getStage(gameId, stageId) {
+  return getGame(gameId)?.stages.find(s => s.id === stageId);
+}
+
+// ============================================================================
+// RULESETS
+// ============================================================================
+
+/**
+ * Rulesets live in data/rulesets/*.json. Each one describes, per mode, the
+ * legal stage list and the ordered steps of the selection:
+ *
+ * {
+ *   "id": "standard",
+ *   "name": "Standard (3-4-1)",
+ *   "videogame": "ultimate",
+ *   "modes": {
+ *     "G1":     { "stages": [...], "steps": [{ "role": "WINNER", "action": "BAN", "count": 3 }, ...] },
+ *     "G2PLUS": { "steps": [...] }
+ *   },
+ *   "dsr": "full"
+ * }
+ *
+ * - "videogame" is the game profile whose stage catalog it uses, DEFAULT_GAME
+ *   when omitted
+ * - "stages" is optional and defaults to the catalog's flags: starters in G1,
+ *   starters + counterpicks in G2PLUS. Stages flagged "banned" are never legal
+ * - "dsr" (Dave's Stupid Rule) is one of DSR_MODES, "off" when omitted
+ * - "role" is WINNER or LOSER, "action" is BAN or PICK
+ * - BAN steps need a "count"; the last step must be the (single) PICK
+ */
+
+const MODES = ['G1', 'G2PLUS'];
+const ROLES = ['WINNER', 'LOSER'];
+const DEFAULT_RULESET = process.env.DEFAULT_RULESET || getGame(DEFAULT_GAME).defaultRuleset;
+const BEST_OF_OPTIONS = [1, 3, 5, 7];
+const DEFAULT_BEST_OF = 3;
+const PLAYER_SLOTS = ['P1', 'P2'];
+const PLAYER_FIELDS = ['tag', 'prefix', 'country', 'pronouns'];
+const PLAYER_FIELD_MAX_LENGTH = 32;
+
+/**
+ * Dave's Stupid Rule variants for picks:
+ * - full:     a player can't pick any stage they already won on in the set
+ * - modified: a player can't pick the stage of their most recent win
+ * - off:      no restriction
+ */
+const DSR_MODES = ['full', 'modified', 'off'];
+
+/**
+ * Optional turn timer, "timer" in a ruleset (or overridden per set):
+ * { "seconds": 30, "per": "action", "onExpire": "warn" }
+ *
+ * - per: "action" restarts the clock after every ban/pick, "phase" gives
+ *   one clock to the whole step (e.g. all 3 bans)
+ * - onExpire: "warn" only flags it, "advance" forces the next phase,
+ *   "random" bans (or picks) a random remaining stage for the player
+ * - seconds 0 turns the timer off
+ */
+/**
+ * How Game 1's first striker is decided, "firstStriker" in a ruleset (or
+ * overridden per set):
+ * - off:  no pre-phase, roles are set by hand (⇄ Cambiar roles)
+ * - coin: the arbiter flips a coin on the server
+ * - rps:  each player enters rock/paper/scissors; ties are replayed
+ * - seed: the higher seed (start.gg seed, P1 otherwise) chooses
+ */
+const FIRST_STRIKER_METHODS = ['off', 'coin', 'rps', 'seed'];
+const RPS_BEATS = { rock: 'scissors', paper: 'rock', scissors: 'paper' };
+
+const TIMER_PER = ['action', 'phase'];
+const TIMER_ON_EXPIRE = ['warn', 'advance', 'random'];
+const TIMER_MAX_SECONDS = 600;
+
+// Returns an error message, or null for a valid timer config
+function validateTimer(timer) {
+  if (typeof timer !== 'object' || timer === null) {
+    return 'timer must be an object';
+  }
+  if (!Number.isInteger(timer.seconds) || timer.seconds < 0 || timer.seconds > TIMER_MAX_SECONDS) {
+    return `timer seconds must be 0-${TIMER_MAX_SECONDS}`;
+  }
+  if (timer.per !== undefined && !TIMER_PER.includes(timer.per)) {
+    return `Invalid timer per: ${timer.per}`;
+  }
+  if (timer.onExpire !== undefined && !TIMER_ON_EXPIRE.includes(timer.onExpire)) {
+    return `Invalid timer onExpire: ${timer.onExpire}`;
+  }
+  return null;
+}
+
+function normalizeTimer({ seconds, per = 'action', onExpire = 'warn' }) {
+  return { seconds, per, onExpire };
+}
+
+/**
+ * Legal stages of a ruleset mode, in catalog order. Computed on every call so
+ * catalog edits (flags, order, new stages) apply to running matches.
+ */
+function getRulesetStages(config, mode, catalog) {
+  return catalog
+    .filter(stage => !stage.banned)
+    .filter(stage => config.stages
+      ? config.stages.includes(stage.id)
+      : stage.starter || (mode === 'G2PLUS' && stage.counterpick))
+    .map(stage => stage.id);
+}
+
+// `catalog` is the stage list of the ruleset's game
+function validateRuleset(ruleset, catalog) {
+  if (!ruleset.id || typeof ruleset.id !== 'string') {
+    return 'Missing id';
+  }
+
+  if (ruleset.dsr !== undefined && !DSR_MODES.includes(ruleset.dsr)) {
+    return `Invalid dsr: ${ruleset.dsr}`;
+  }
+
+  if (ruleset.firstStriker !== undefined && !FIRST_STRIKER_METHODS.includes(ruleset.firstStriker)) {
+    return `Invalid firstStriker: ${ruleset.firstStriker}`;
+  }
+
+  // Loaded rulesets without a timer hold null (see loadRulesets)
+  if (ruleset.timer !== undefined && ruleset.timer !== null) {
+    const error = validateTimer(ruleset.timer);
+    if (error) {
+      return error;
+    }
+  }
+
+  for (const mode of MODES) {
+    const config = ruleset.modes?.[mode];
+    if (!config) {
+      return `Missing mode: ${mode}`;
+    }
+
+    const unknown = (config.stages || []).find(id => !catalog.some(s => s.id === id));
+    if (unknown) {
+      return `${mode}: unknown stage ${unknown}`;
+    }
+
+    const steps = config.steps || [];
+    if (steps.length === 0) {
+      return `${mode}: no steps`;
+    }
+
+    let totalBans = 0;
+    for (const [i, step] of steps.entries()) {
+      if (!ROLES.includes(step.role)) {
+        return `${mode}: step ${i} has invalid role ${step.role}`;
+      }
+      const isLast = i === steps.length - 1;
+      if (step.action === 'PICK' && !isLast) {
+        return `${mode}: PICK must be the last step`;
+      }
+      if (step.action === 'BAN') {
+        if (isLast) {
+          return `${mode}: last step must be a PICK`;
+        }
+        if (!Number.isInteger(step.count) || step.count < 1) {
+          return `${mode}: step ${i} needs a positive ban count`;
+        }
+        totalBans += step.count;
+      } else if (step.action !== 'PICK') {
+        return `${mode}: step ${i} has invalid action ${step.action}`;
+      }
+    }
+
+    const legal = getRulesetStages(config, mode, catalog).length;
+    if (totalBans >= legal) {
+      return `${mode}: ${totalBans} bans leave no stage to pick from ${legal}`;
+    }
+  }
+
+  return null;
+}
+
+function loadRulesets() {
+  const dir = path.join(__dirname, 'data', 'rulesets');
+  const loaded = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    const ruleset = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    ruleset.videogame = ruleset.videogame || DEFAULT_GAME;
+    const game = getGame(ruleset.videogame);
+    const error = game ? validateRuleset(ruleset, game.stages) : `Unknown videogame: ${ruleset.videogame}`;
+    if (error) {
+      console.warn(`⚠️  Skipping ruleset ${file}: ${error}`);
+      continue;
+    }
+
+    // Normalize so the engine never has to deal with defaults
+    ruleset.dsr = ruleset.dsr || 'off';
+    ruleset.timer = ruleset.timer ? normalizeTimer(ruleset.timer) : null;
+    ruleset.firstStriker = ruleset.firstStriker || 'off';
+    for (const mode of MODES) {
+      const config = ruleset.modes[mode];
+      config.steps = config.steps.map(({ role, action, count }) => ({
+        role,
+        action,
+        count: action === 'PICK' ? 1 : count
+      }));
+    }
+    loaded.set(ruleset.id, ruleset);
+  }
+
+  if (!loaded.has(DEFAULT_RULESET)) {
+    throw new Error(`Default ruleset not found: ${DEFAULT_RULESET}`);
+  }
+  for (const game of games.values()) {
+    if (loaded.get(game.defaultRuleset)?.videogame !== game.id) {
+      throw new Error(`Game ${game.id}: default ruleset ${game.defaultRuleset} not found for this game`);
+    }
+  }
+  return loaded;
+}
+
+const rulesets = loadRulesets();
+
+// ============================================================================
+// LOCALES
+// ============================================================================
+
+/**
+ * UI translations for the control and overlay live in data/locales/*.json:
+ *
+ * { "id": "ja", "name": "日本語", "strings": { "overlay.tile.ban": "BAN", ... } }
+ *
+ * Strings use {placeholders}. A key a locale doesn't have falls back to
+ * FALLBACK_LOCALE, so a new locale can start with only part of the strings.
+ * Stage names are translated in each game's stage list ("names": { "ja": "戦場" }).
+ */
+
+const FALLBACK_LOCALE = 'en';
+const LOCALE_ID_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+function validateLocale(locale) {
+  if (typeof locale.id !== 'string' || !LOCALE_ID_PATTERN.test(locale.id)) {
+    return `Invalid id: ${locale.id}`;
+  }
+  if (!locale.name || typeof locale.name !== 'string') {
+    return 'Missing name';
+  }
+  if (!locale.strings || typeof locale.strings !== 'object') {
+    return 'Missing strings';
+  }
+
+  const invalid = Object.keys(locale.strings).find(key => typeof locale.strings[key] !== 'string');
+  return invalid ? `String ${invalid} is not text` : null;
+}
+
+function loadLocales() {
+  const dir = path.join(__dirname, 'data', 'locales');
+  const loaded = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    const locale = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const error = validateLocale(locale);
+    if (error) {
+      console.warn(`⚠️  Skipping locale ${file}: ${error}`);
+      continue;
+    }
+    loaded.set(locale.id, locale);
+  }
+
+  const fallback = loaded.get(FALLBACK_LOCALE);
+  if (!fallback) {
+    throw new Error(`Fallback locale not found: ${FALLBACK_LOCALE}`);
+  }
+
+  // Partial locales still work, but say what's missing
+  for (const locale of loaded.values()) {
+    const missing = Object.keys(fallback.strings).filter(key => !(key in locale.strings));
+    if (missing.length > 0) {
+      console.warn(`⚠️  Locale ${locale.id}: ${missing.length} string(s) fall back to ${FALLBACK_LOCALE}`);
+    }
+  }
+  return loaded;
+}
+
+const locales = loadLocales();
+
+// A locale's strings merged over the fallback ones
+function getLocaleStrings(localeId) {
+  return { ...locales.get(FALLBACK_LOCALE).strings, ...locales.get(localeId).strings };
+}
 
 // ============================================================================
 // STATE MANAGEMENT
@@ -49,13 +440,23 @@ const stageIds = stages.map(s => s.id);
 const matchStates = new Map();
 
 /**
- * Phase flow:
- * 
+ * Phase flow is driven by the match's ruleset. With the standard ruleset:
+ *
  * G1 (Game 1 - 3-4-1 Striking):
  *   WINNER_BAN (3) -> LOSER_BAN (4) -> WINNER_PICK (1 of 2) -> DONE
- * 
+ *
  * G2PLUS (Game 2-5):
  *   WINNER_BAN (3) -> LOSER_PICK (1 of 6) -> DONE
+ *
+ * The current phase is derived from `step`, the index into the mode's steps.
+ *
+ * With a first-striker method (see FIRST_STRIKER_METHODS) Game 1 starts in
+ * FIRST_STRIKER instead; its result decides who holds the WINNER role
+ * (first striker) before WINNER_BAN.
+ *
+ * Set flow:
+ *   Game 1 (G1) -> REPORT_RESULT -> Game 2 (G2PLUS, winner bans / loser picks)
+ *   -> ... until a player reaches the wins needed for the best-of.
  */
 
 const PHASES = {
@@ -63,327 +464,2920 @@ const PHASES = {
   LOSER_BAN: 'LOSER_BAN',
   WINNER_PICK: 'WINNER_PICK',
   LOSER_PICK: 'LOSER_PICK',
+  FIRST_STRIKER: 'FIRST_STRIKER',
   DONE: 'DONE'
 };
 
-function createInitialState(mode = 'G1') {
+function createPlayer() {
+  return { tag: '', prefix: '', country: '', pronouns: '' };
+}
+
+function createInitialState(mode = 'G1', ruleset = DEFAULT_RULESET, bestOf = DEFAULT_BEST_OF) {
   return {
     mode,                    // 'G1' or 'G2PLUS'
-    phase: PHASES.WINNER_BAN,
+    ruleset,                 // ruleset id
+    step: 0,                 // index into the ruleset steps for this mode
     bans: [],                // array of stageIds in order
     pick: null,              // stageId or null
-    history: []              // stack for undo: [{action, stageId, prevPhase}]
+    history: [],             // stack for undo: [{action, stageId, player, prevStep, ts}]
+    redo: [],                // undone history entries, last undone on top
+    timer: null,             // running turn timer: {key, deadline, durationMs, expired, historyLength}
+    firstStriker: null,      // Game 1 first striker: {method, player, choices}
+    rps: { P1: null, P2: null }, // RPS entries waiting for the other player
+    version: 0,              // bumped on every published change (stale action check)
+    updatedAt: Date.now(),   // last successful action (admin dashboard)
+    players: { P1: createPlayer(), P2: createPlayer() },
+    roles: { WINNER: 'P1', LOSER: 'P2' }, // player slot holding each role this game
+    set: {
+      bestOf,
+      games: [],             // [{game, stage, winner, mode, bans, picker, ts}] in play order
+      winner: null,          // player slot once the set is decided
+      dsr: null,             // DSR override, null = use the ruleset's
+      timer: null,           // timer override, null = use the ruleset's
+      firstStriker: null     // first-striker method override, null = use the ruleset's
+    },
+    startgg: null            // linked start.gg set: {setId, round, entrants, report, ...}
   };
 }
 
+// Fresh selection for the current game, keeping the set, players and roles
+function createGameState(state, mode = state.mode, ruleset = state.ruleset) {
+  return {
+    ...createInitialState(mode, ruleset),
+    players: state.players,
+    roles: { ...state.roles },
+    set: state.set,
+    firstStriker: state.firstStriker,
+    version: state.version,
+    startgg: state.startgg
+  };
+}
+
+// Matches are only created explicitly (handleCreateMatch), never on lookup
 function getState(matchId) {
-  if (!matchStates.has(matchId)) {
-    matchStates.set(matchId, createInitialState());
+  return matchStates.get(matchId) || null;
+}
+
+// A match plays the game of its ruleset
+function getMatchVideogame(state) {
+  return rulesets.get(state.ruleset).videogame;
+}
+
+function getModeConfig(state) {
+  const config = rulesets.get(state.ruleset).modes[state.mode];
+  const catalog = getGame(getMatchVideogame(state)).stages;
+  return { steps: config.steps, stages: getRulesetStages(config, state.mode, catalog) };
+}
+
+// No ruleset step runs while Game 1's first striker is being decided
+function getCurrentStep(state) {
+  if (isFirstStrikerPending(state)) {
+    return null;
   }
-  return matchStates.get(matchId);
+  return getModeConfig(state).steps[state.step] || null;
 }
 
-function getAvailableStages(state) {
-  return stageIds.filter(id => !state.bans.includes(id));
+function getPhase(state) {
+  if (isFirstStrikerPending(state)) {
+    return PHASES.FIRST_STRIKER;
+  }
+  const step = getCurrentStep(state);
+  return step ? `${step.role}_${step.action}` : PHASES.DONE;
 }
 
-function getBansRemaining(state) {
-  const { mode, phase, bans } = state;
+function getFirstStrikerMethod(state) {
+  return state.set.firstStriker || rulesets.get(state.ruleset).firstStriker;
+}
+
+function isFirstStrikerPending(state) {
+  return getFirstStrikerMethod(state) !== 'off'
+    && state.mode === 'G1'
+    && state.set.games.length === 0
+    && !state.firstStriker;
+}
+
+// Lower seed number wins; without start.gg seeds P1 counts as the higher seed
+function getHigherSeed(state) {
+  const seeds = state.startgg?.seeds;
+  if (seeds?.P1 && seeds?.P2 && seeds.P2 < seeds.P1) {
+    return 'P2';
+  }
+  return 'P1';
+}
+
+function getWinsNeeded(set) {
+  return Math.floor(set.bestOf / 2) + 1;
+}
+
+function getScore(set) {
+  const score = { P1: 0, P2: 0 };
+  set.games.forEach(game => score[game.winner]++);
+  return score;
+}
 
-  if (phase === PHASES.WINNER_BAN) {
-    return 3 - bans.length;
+function getOpponent(slot) {
+  return slot === 'P1' ? 'P2' : 'P1';
+}
+
+// Tag of the player in a slot, falling back to the slot itself
+function getPlayerName(state, slot) {
+  return state.players[slot].tag || slot;
+}
+
+// Slot of the player acting in the current step, or null once DONE
+function getActingPlayer(state) {
+  const step = getCurrentStep(state);
+  return step ? state.roles[step.role] : null;
+}
+
+function getStageName(gameId, stageId) {
+  const stage = getStage(gameId, stageId);
+  return stage ? stage.name : stageId;
+}
+
+function getDsrMode(state) {
+  return state.set.dsr || rulesets.get(state.ruleset).dsr;
+}
+
+// Active timer config for the match, or null when there is no clock
+function getTimerConfig(state) {
+  const timer = state.set.timer || rulesets.get(state.ruleset).timer;
+  return timer && timer.seconds > 0 ? timer : null;
+}
+
+// Stages the player making the current pick is barred from by DSR
+function getDsrLocked(state) {
+  const step = getCurrentStep(state);
+  const mode = getDsrMode(state);
+  if (!step || step.action !== 'PICK' || mode === 'off') {
+    return [];
   }
 
-  if (mode === 'G1' && phase === PHASES.LOSER_BAN) {
-    return 7 - bans.length; // Need 7 total bans (3+4), currently have bans.length
+  const picker = getActingPlayer(state);
+  const wonOn = state.set.games
+    .filter(game => game.winner === picker && game.stage)
+    .map(game => game.stage);
+
+  if (mode === 'modified') {
+    return wonOn.slice(-1);
   }
+  return [...new Set(wonOn)];
+}
 
-  return 0;
+function getAvailableStages(state) {
+  return getModeConfig(state).stages.filter(id => !state.bans.includes(id));
+}
+
+function getBansRemaining(state) {
+  const step = getCurrentStep(state);
+  if (!step || step.action !== 'BAN') {
+    return 0;
+  }
+
+  // Undo pops history, so every BAN tagged with the current step was made in it
+  const bansInStep = state.history.filter(h => h.action === 'BAN' && h.prevStep === state.step).length;
+  return step.count - bansInStep;
 }
 
 function getPicksRemaining(state) {
-  if (state.phase === PHASES.WINNER_PICK || state.phase === PHASES.LOSER_PICK) {
+  const step = getCurrentStep(state);
+  if (step && step.action === 'PICK') {
     return state.pick ? 0 : 1;
   }
   return 0;
 }
 
 function advancePhase(state) {
-  const { mode, phase, bans } = state;
+  const step = getCurrentStep(state);
+  if (!step) {
+    return;
+  }
 
-  if (mode === 'G1') {
-    // G1: WINNER_BAN(3) -> LOSER_BAN(4) -> WINNER_PICK -> DONE
-    if (phase === PHASES.WINNER_BAN && bans.length >= 3) {
-      state.phase = PHASES.LOSER_BAN;
-    } else if (phase === PHASES.LOSER_BAN && bans.length >= 7) {
-      state.phase = PHASES.WINNER_PICK;
-    } else if (phase === PHASES.WINNER_PICK && state.pick) {
-      state.phase = PHASES.DONE;
-    }
-  } else {
-    // G2PLUS: WINNER_BAN(3) -> LOSER_PICK -> DONE
-    if (phase === PHASES.WINNER_BAN && bans.length >= 3) {
-      state.phase = PHASES.LOSER_PICK;
-    } else if (phase === PHASES.LOSER_PICK && state.pick) {
-      state.phase = PHASES.DONE;
+  if (step.action === 'BAN' && getBansRemaining(state) <= 0) {
+    state.step++;
+  } else if (step.action === 'PICK' && state.pick) {
+    state.step++;
+  }
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Each match is saved as a JSON snapshot in STATE_DIR after every successful
+ * action, so a crash or restart mid-set doesn't lose bans, picks or the score.
+ * Files are written to a temp file and renamed, so a crash mid-write never
+ * leaves a half-written snapshot behind.
+ */
+
+function getMatchFile(matchId) {
+  return path.join(STATE_DIR, `${encodeURIComponent(matchId)}.json`);
+}
+
+function saveMatch(matchId) {
+  const state = matchStates.get(matchId);
+  if (!state) return;
+
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    const file = getMatchFile(matchId);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ matchId, savedAt: Date.now(), state }));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error(`❌ Failed to save match ${matchId}:`, err.message);
+  }
+}
+
+function deleteMatchFile(matchId) {
+  try {
+    fs.rmSync(getMatchFile(matchId), { force: true });
+  } catch (err) {
+    console.error(`❌ Failed to delete saved match ${matchId}:`, err.message);
+  }
+}
+
+function loadMatches() {
+  if (!fs.existsSync(STATE_DIR)) return;
+
+  for (const file of fs.readdirSync(STATE_DIR).filter(f => f.endsWith('.json'))) {
+    try {
+      const { matchId, state } = JSON.parse(fs.readFileSync(path.join(STATE_DIR, file), 'utf8'));
+      if (!rulesets.has(state.ruleset)) {
+        console.warn(`⚠️  Skipping saved match ${matchId}: unknown ruleset ${state.ruleset}`);
+        continue;
+      }
+      // Turn clocks start over after a restart instead of expiring at once
+      state.timer = null;
+      state.redo = state.redo || [];
+      state.version = state.version || 0;
+      matchStates.set(matchId, state);
+      syncTimer(matchId);
+    } catch (err) {
+      console.warn(`⚠️  Skipping saved match ${file}: ${err.message}`);
     }
   }
+
+  if (matchStates.size > 0) {
+    console.log(`💾 Restored ${matchStates.size} match(es) from ${STATE_DIR}`);
+  }
 }
 
 // ============================================================================
 // ACTION HANDLERS
 // ============================================================================
 
+/**
+ * A failed action carries one of these codes next to its error message, so
+ * clients can react (or translate) without parsing the text. The message
+ * keeps the details ("Stage already banned: kalos").
+ */
+const ERROR_CODES = {
+  MATCH_NOT_FOUND: 'MATCH_NOT_FOUND',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  INVALID_INPUT: 'INVALID_INPUT',       // bad stage id, mode, player, version...
+  FORBIDDEN: 'FORBIDDEN',               // role or token can't do this
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  STALE_STATE: 'STALE_STATE',           // based on an old version (see runAction)
+  WRONG_PHASE: 'WRONG_PHASE',           // valid action, not at this point of the selection
+  STAGE_NOT_LEGAL: 'STAGE_NOT_LEGAL',
+  STAGE_BANNED: 'STAGE_BANNED',
+  DSR_LOCKED: 'DSR_LOCKED',
+  ALREADY_CHOSEN: 'ALREADY_CHOSEN',     // RPS entry already in
+  NOTHING_TO_UNDO: 'NOTHING_TO_UNDO',
+  NOTHING_TO_REDO: 'NOTHING_TO_REDO',
+  SET_FINISHED: 'SET_FINISHED'
+};
+
 function handleBan(state, stageId) {
   // Validate stage exists
-  if (!stageIds.includes(stageId)) {
-    return { ok: false, error: `Invalid stage: ${stageId}` };
+  if (!getStage(getMatchVideogame(state), stageId)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid stage: ${stageId}` };
+  }
+
+  // Validate stage is legal in this ruleset
+  if (!getModeConfig(state).stages.includes(stageId)) {
+    return { ok: false, code: ERROR_CODES.STAGE_NOT_LEGAL, error: `Stage not legal in this ruleset: ${stageId}` };
   }
 
   // Validate not already banned
   if (state.bans.includes(stageId)) {
-    return { ok: false, error: `Stage already banned: ${stageId}` };
+    return { ok: false, code: ERROR_CODES.STAGE_BANNED, error: `Stage already banned: ${stageId}` };
   }
 
   // Validate we're in a ban phase
-  if (state.phase !== PHASES.WINNER_BAN && state.phase !== PHASES.LOSER_BAN) {
-    return { ok: false, error: `Cannot ban in phase: ${state.phase}` };
+  const step = getCurrentStep(state);
+  if (!step || step.action !== 'BAN') {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: `Cannot ban in phase: ${getPhase(state)}` };
   }
 
   // Validate bans remaining
   if (getBansRemaining(state) <= 0) {
-    return { ok: false, error: 'No bans remaining in this phase' };
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: 'No bans remaining in this phase' };
   }
 
   // Apply ban
-  const prevPhase = state.phase;
+  const prevStep = state.step;
+  const player = getActingPlayer(state);
+  const ts = Date.now();
   state.bans.push(stageId);
-  state.history.push({ action: 'BAN', stageId, prevPhase });
+  state.history.push({ action: 'BAN', stageId, player, prevStep, ts });
 
   // Check phase transition
   advancePhase(state);
 
-  return { ok: true, event: { type: 'BAN', stageId, ts: Date.now() } };
+  return { ok: true, event: { type: 'BAN', stageId, player, ts } };
 }
 
 function handlePick(state, stageId) {
   // Validate stage exists
-  if (!stageIds.includes(stageId)) {
-    return { ok: false, error: `Invalid stage: ${stageId}` };
+  if (!getStage(getMatchVideogame(state), stageId)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid stage: ${stageId}` };
+  }
+
+  // Validate stage is legal in this ruleset
+  if (!getModeConfig(state).stages.includes(stageId)) {
+    return { ok: false, code: ERROR_CODES.STAGE_NOT_LEGAL, error: `Stage not legal in this ruleset: ${stageId}` };
   }
 
   // Validate not banned
   if (state.bans.includes(stageId)) {
-    return { ok: false, error: `Cannot pick banned stage: ${stageId}` };
+    return { ok: false, code: ERROR_CODES.STAGE_BANNED, error: `Cannot pick banned stage: ${stageId}` };
   }
 
   // Validate we're in a pick phase
-  if (state.phase !== PHASES.WINNER_PICK && state.phase !== PHASES.LOSER_PICK) {
-    return { ok: false, error: `Cannot pick in phase: ${state.phase}` };
+  const step = getCurrentStep(state);
+  if (!step || step.action !== 'PICK') {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: `Cannot pick in phase: ${getPhase(state)}` };
   }
 
   // Validate no pick yet
   if (state.pick) {
-    return { ok: false, error: 'Already picked' };
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: 'Already picked' };
+  }
+
+  // Validate Dave's Stupid Rule
+  if (getDsrLocked(state).includes(stageId)) {
+    const picker = getPlayerName(state, getActingPlayer(state));
+    return { ok: false, code: ERROR_CODES.DSR_LOCKED, error: `DSR: ${picker} already won on ${getStageName(getMatchVideogame(state), stageId)}` };
   }
 
   // Apply pick
-  const prevPhase = state.phase;
+  const prevStep = state.step;
+  const player = getActingPlayer(state);
+  const ts = Date.now();
   state.pick = stageId;
-  state.history.push({ action: 'PICK', stageId, prevPhase });
+  state.history.push({ action: 'PICK', stageId, player, prevStep, ts });
 
   // Advance to DONE
   advancePhase(state);
 
-  return { ok: true, event: { type: 'PICK', stageId, ts: Date.now() } };
+  return { ok: true, event: { type: 'PICK', stageId, player, ts } };
 }
 
 function handleUndo(state) {
   if (state.history.length === 0) {
-    return { ok: false, error: 'Nothing to undo' };
+    return { ok: false, code: ERROR_CODES.NOTHING_TO_UNDO, error: 'Nothing to undo' };
   }
 
   const lastAction = state.history.pop();
+  state.redo.push(lastAction);
 
   if (lastAction.action === 'BAN') {
-    state.bans = state.bans.filter(id => id !== lastAction.stageId);
+    // Bans are undone newest first, so this keeps the original order
+    state.bans.splice(state.bans.lastIndexOf(lastAction.stageId), 1);
   } else if (lastAction.action === 'PICK') {
     state.pick = null;
+  } else if (lastAction.action === 'FIRST_STRIKER') {
+    state.roles = lastAction.prevRoles;
+    state.firstStriker = null;
+  } else if (lastAction.action === 'RESULT') {
+    // Put the reported game back exactly as it was before the result
+    Object.assign(state, lastAction.prevGame);
+    state.set.games.pop();
+    state.set.winner = null;
+    return { ok: true };
   }
   // FORCE_PHASE only needs phase revert, no data to undo
 
-  state.phase = lastAction.prevPhase;
+  state.step = lastAction.prevStep;
+
+  return { ok: true };
+}
+
+/**
+ * Re-applies the last undone entry through its own handler, so it is
+ * validated against the current state like any new action. The entry gets
+ * a fresh timestamp; a RESULT redo starts the next game again (newState).
+ */
+function handleRedo(state) {
+  const entry = state.redo.pop();
+  if (!entry) {
+    return { ok: false, code: ERROR_CODES.NOTHING_TO_REDO, error: 'Nothing to redo' };
+  }
+
+  let result;
+  if (entry.action === 'BAN') {
+    result = handleBan(state, entry.stageId);
+  } else if (entry.action === 'PICK') {
+    result = handlePick(state, entry.stageId);
+  } else if (entry.action === 'FORCE_PHASE') {
+    result = handleForceNextPhase(state);
+  } else if (entry.action === 'FIRST_STRIKER') {
+    result = isFirstStrikerPending(state)
+      ? setFirstStriker(state, entry.method, entry.player, entry.choices)
+      : { ok: false, code: ERROR_CODES.WRONG_PHASE, error: `Cannot redo first striker in phase: ${getPhase(state)}` };
+  } else if (entry.action === 'RESULT') {
+    result = handleReportResult(state, entry.winner);
+  } else {
+    result = { ok: false, code: ERROR_CODES.NOTHING_TO_REDO, error: `Cannot redo ${entry.action}` };
+  }
+
+  // Keep the entry for another try if the state no longer allows it
+  if (!result.ok) {
+    state.redo.push(entry);
+  } else if (result.newState) {
+    result.newState.redo = state.redo;
+  }
+  return result;
+}
+
+// Undoes entries until only the first `index` remain (0 = start of the game)
+function handleJumpTo(state, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= state.history.length) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid history index: ${index}` };
+  }
 
+  // Count first: undoing a RESULT swaps in the previous game's history
+  const count = state.history.length - index;
+  for (let i = 0; i < count; i++) {
+    handleUndo(state);
+  }
   return { ok: true };
 }
 
 function handleReset(matchId, keepMode = true) {
   const state = getState(matchId);
-  const newState = createInitialState(state.mode);
+  const newState = createGameState(state);
+  matchStates.set(matchId, newState);
+  return { ok: true };
+}
+
+function handleResetSet(matchId) {
+  const state = getState(matchId);
+  archiveSet(matchId, 'new-set');
+  const newState = createInitialState('G1', state.ruleset, state.set.bestOf);
+  newState.players = state.players;
+  newState.version = state.version;
   matchStates.set(matchId, newState);
   return { ok: true };
 }
 
 function handleSetMode(state, mode) {
-  if (mode !== 'G1' && mode !== 'G2PLUS') {
-    return { ok: false, error: `Invalid mode: ${mode}` };
+  if (!MODES.includes(mode)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid mode: ${mode}` };
   }
 
   // Reset state with new mode
-  const newState = createInitialState(mode);
+  const newState = createGameState(state, mode);
   return { ok: true, newState };
 }
 
-function handleForceNextPhase(state) {
-  const { mode, phase } = state;
-  const prevPhase = phase;
-
-  // Define phase transitions
-  const transitions = {
-    G1: {
-      WINNER_BAN: PHASES.LOSER_BAN,
-      LOSER_BAN: PHASES.WINNER_PICK,
-      WINNER_PICK: PHASES.DONE,
-      DONE: PHASES.DONE
-    },
-    G2PLUS: {
-      WINNER_BAN: PHASES.LOSER_PICK,
-      LOSER_PICK: PHASES.DONE,
-      DONE: PHASES.DONE
-    }
-  };
+function handleSetRuleset(state, rulesetId) {
+  if (!rulesets.has(rulesetId)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid ruleset: ${rulesetId}` };
+  }
 
-  const nextPhase = transitions[mode]?.[phase];
-  if (!nextPhase || nextPhase === phase) {
-    return { ok: false, error: 'Cannot advance phase' };
+  // Games already played keep stage IDs of the match's game
+  if (rulesets.get(rulesetId).videogame !== getMatchVideogame(state) && state.set.games.length > 0) {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: 'Cannot change game in the middle of a set' };
   }
 
-  state.phase = nextPhase;
-  state.history.push({ action: 'FORCE_PHASE', prevPhase });
+  // Reset state with new ruleset, keeping the mode
+  const newState = createGameState(state, state.mode, rulesetId);
+  return { ok: true, newState };
+}
 
-  return { ok: true };
+// Switches the match to another game with that game's default ruleset
+function handleSetVideogame(state, gameId) {
+  const game = getGame(gameId);
+  if (!game) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid videogame: ${gameId}` };
+  }
+  if (game.id === getMatchVideogame(state)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Match already plays ${game.name}` };
+  }
+  return handleSetRuleset(state, game.defaultRuleset);
 }
 
-// ============================================================================
-// COMPUTED STATE (for clients)
-// ============================================================================
+function handleSetBestOf(state, bestOf) {
+  if (!BEST_OF_OPTIONS.includes(bestOf)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid best-of: ${bestOf}` };
+  }
 
-function getComputedState(matchId) {
-  const state = getState(matchId);
-  const available = getAvailableStages(state);
+  const { set } = state;
+  if (set.winner) {
+    return { ok: false, code: ERROR_CODES.SET_FINISHED, error: 'Set already finished' };
+  }
 
-  return {
-    matchId,
-    mode: state.mode,
-    phase: state.phase,
-    bans: state.bans,
-    pick: state.pick,
-    available,
-    bansRemaining: getBansRemaining(state),
-    picksRemaining: getPicksRemaining(state),
-    canUndo: state.history.length > 0
-  };
+  const leader = Math.max(...Object.values(getScore(set)));
+  if (leader >= getWinsNeeded({ bestOf })) {
+    return { ok: false, code: ERROR_CODES.SET_FINISHED, error: `Current score already decides a best-of ${bestOf}` };
+  }
+
+  set.bestOf = bestOf;
+  return { ok: true };
 }
 
-// ============================================================================
-// EXPRESS ROUTES
-// ============================================================================
+function handleSetTimer(state, timer) {
+  if (timer !== null) {
+    const error = validateTimer(timer);
+    if (error) {
+      return { ok: false, code: ERROR_CODES.INVALID_INPUT, error };
+    }
+  }
 
-// Serve static files
+  state.set.timer = timer && normalizeTimer(timer);
+  state.timer = null; // restart the clock with the new config
+  return { ok: true };
+}
+
+function handleSetDsr(state, dsr) {
+  if (dsr !== null && !DSR_MODES.includes(dsr)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid DSR mode: ${dsr}` };
+  }
+
+  state.set.dsr = dsr;
+  return { ok: true };
+}
+
+function handleSetPlayers(state, players) {
+  if (!players || typeof players !== 'object') {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: 'Missing players' };
+  }
+
+  // Validate everything before touching state
+  for (const [slot, fields] of Object.entries(players)) {
+    if (!PLAYER_SLOTS.includes(slot)) {
+      return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid player slot: ${slot}` };
+    }
+    for (const [field, value] of Object.entries(fields || {})) {
+      if (!PLAYER_FIELDS.includes(field)) {
+        return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid player field: ${field}` };
+      }
+      if (typeof value !== 'string' || value.trim().length > PLAYER_FIELD_MAX_LENGTH) {
+        return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid ${field} for ${slot}` };
+      }
+    }
+  }
+
+  for (const [slot, fields] of Object.entries(players)) {
+    for (const [field, value] of Object.entries(fields || {})) {
+      state.players[slot][field] = value.trim();
+    }
+  }
+  return { ok: true };
+}
+
+function handleSwapRoles(state) {
+  if (state.bans.length > 0 || state.pick) {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: 'Cannot swap roles after the selection started' };
+  }
+
+  state.roles = { WINNER: state.roles.LOSER, LOSER: state.roles.WINNER };
+  return { ok: true };
+}
+
+// Gives the WINNER role (first striker) to `player` and records it for UNDO
+function setFirstStriker(state, method, player, choices = null) {
+  const prevRoles = { ...state.roles };
+  state.roles = { WINNER: player, LOSER: getOpponent(player) };
+  const ts = Date.now();
+  state.firstStriker = { method, player, choices };
+  state.history.push({ action: 'FIRST_STRIKER', method, player, choices, prevRoles, prevStep: state.step, ts });
+
+  return { ok: true, event: { type: 'FIRST_STRIKER', method, player, choices, ts } };
+}
+
+function handleCoinFlip(state) {
+  if (!isFirstStrikerPending(state)) {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: `Cannot flip a coin in phase: ${getPhase(state)}` };
+  }
+
+  const player = PLAYER_SLOTS[Math.floor(Math.random() * PLAYER_SLOTS.length)];
+  return setFirstStriker(state, 'coin', player);
+}
+
+function handleRps(state, player, choice) {
+  if (!isFirstStrikerPending(state) || getFirstStrikerMethod(state) !== 'rps') {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: `Cannot play RPS in phase: ${getPhase(state)}` };
+  }
+  if (!PLAYER_SLOTS.includes(player)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid player: ${player}` };
+  }
+  if (!Object.hasOwn(RPS_BEATS, choice)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid RPS choice: ${choice}` };
+  }
+
+  state.rps = state.rps || { P1: null, P2: null };
+  if (state.rps[player]) {
+    return { ok: false, code: ERROR_CODES.ALREADY_CHOSEN, error: `${getPlayerName(state, player)} already chose` };
+  }
+
+  // Choices stay hidden until both players are in
+  state.rps[player] = choice;
+  if (!state.rps.P1 || !state.rps.P2) {
+    return { ok: true };
+  }
+
+  const choices = state.rps;
+  state.rps = { P1: null, P2: null };
+  if (choices.P1 === choices.P2) {
+    return { ok: true, event: { type: 'RPS_TIE', choices, ts: Date.now() } };
+  }
+
+  const winner = RPS_BEATS[choices.P1] === choices.P2 ? 'P1' : 'P2';
+  return setFirstStriker(state, 'rps', winner, choices);
+}
+
+// Higher seed's choice ("seed"), or the arbiter deciding by hand
+function handleChooseStriker(state, player) {
+  if (!isFirstStrikerPending(state)) {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: `Cannot choose first striker in phase: ${getPhase(state)}` };
+  }
+  if (!PLAYER_SLOTS.includes(player)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid player: ${player}` };
+  }
+
+  const method = getFirstStrikerMethod(state) === 'seed' ? 'seed' : 'arbiter';
+  return setFirstStriker(state, method, player);
+}
+
+function handleSetFirstStriker(state, method) {
+  if (method !== null && !FIRST_STRIKER_METHODS.includes(method)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid first striker method: ${method}` };
+  }
+  // Changing it later would hand the recorded bans to the other player
+  if (state.bans.length > 0 || state.pick || state.set.games.length > 0) {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: 'Cannot change the first striker method after the selection started' };
+  }
+
+  state.set.firstStriker = method;
+  state.rps = { P1: null, P2: null };
+  return { ok: true };
+}
+
+function handleReportResult(state, winner) {
+  if (!PLAYER_SLOTS.includes(winner)) {
+    return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid winner: ${winner}` };
+  }
+
+  const { set } = state;
+  if (set.winner) {
+    return { ok: false, code: ERROR_CODES.SET_FINISHED, error: 'Set already finished' };
+  }
+
+  if (getPhase(state) !== PHASES.DONE) {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: 'Stage selection not finished' };
+  }
+
+  // Snapshot the game so UNDO can bring it back
+  const prevGame = {
+    mode: state.mode,
+    step: state.step,
+    bans: [...state.bans],
+    pick: state.pick,
+    history: [...state.history],
+    roles: { ...state.roles }
+  };
+
+  const game = set.games.length + 1;
+  const ts = Date.now();
+  const bans = state.history
+    .filter(h => h.action === 'BAN')
+    .map(({ stageId, player }) => ({ stageId, player }));
+  const picker = state.history.find(h => h.action === 'PICK')?.player || null;
+  set.games.push({ game, stage: state.pick, winner, mode: state.mode, bans, picker, ts });
+  const entry = { action: 'RESULT', winner, prevGame, ts };
+  const event = { type: 'RESULT', winner, game, stageId: state.pick, player: winner, ts };
+
+  if (getScore(set)[winner] >= getWinsNeeded(set)) {
+    // Set is over: keep the last selection on screen
+    set.winner = winner;
+    state.history.push(entry);
+    return { ok: true, event: { ...event, setWinner: winner } };
+  }
+
+  // Next game: previous winner bans, previous loser counterpicks
+  const newState = createGameState(state, 'G2PLUS');
+  newState.roles = { WINNER: winner, LOSER: getOpponent(winner) };
+  newState.history.push(entry);
+
+  return { ok: true, newState, event };
+}
+
+function handleForceNextPhase(state) {
+  // Skipping the first-striker pre-phase keeps the current roles
+  if (isFirstStrikerPending(state)) {
+    return handleChooseStriker(state, state.roles.WINNER);
+  }
+
+  if (!getCurrentStep(state)) {
+    return { ok: false, code: ERROR_CODES.WRONG_PHASE, error: 'Cannot advance phase' };
+  }
+
+  const prevStep = state.step;
+  state.step++;
+  state.history.push({ action: 'FORCE_PHASE', prevStep, ts: Date.now() });
+
+  return { ok: true };
+}
+
+// ============================================================================
+// COMPUTED STATE (for clients)
+// ============================================================================
+
+// Phase an entry was made in; a RESULT closes the previous game
+function getHistoryPhase(state, entry) {
+  if (entry.action === 'RESULT') return PHASES.DONE;
+  if (entry.action === 'FIRST_STRIKER') return PHASES.FIRST_STRIKER;
+
+  const step = getModeConfig(state).steps[entry.prevStep];
+  return step ? `${step.role}_${step.action}` : PHASES.DONE;
+}
+
+function getComputedState(matchId) {
+  const state = getState(matchId);
+  const available = getAvailableStages(state);
+  const { stages: legalStages, steps } = getModeConfig(state);
+  const { set } = state;
+
+  return {
+    matchId,
+    version: state.version,
+    videogame: getMatchVideogame(state),
+    mode: state.mode,
+    ruleset: state.ruleset,
+    phase: getPhase(state),
+    step: state.step,
+    steps: steps.map(s => ({ phase: `${s.role}_${s.action}`, count: s.count })),
+    stages: legalStages,
+    bans: state.bans,
+    pick: state.pick,
+    available,
+    dsr: getDsrMode(state),
+    dsrLocked: getDsrLocked(state),
+    bansRemaining: getBansRemaining(state),
+    picksRemaining: getPicksRemaining(state),
+    canUndo: state.history.length > 0,
+    canRedo: state.redo.length > 0,
+    timeline: state.history.map((entry, index) => ({
+      index,
+      action: entry.action,
+      stageId: entry.stageId || null,
+      player: entry.player || entry.winner || null,
+      phase: getHistoryPhase(state, entry),
+      ts: entry.ts || null
+    })),
+    players: state.players,
+    roles: state.roles,
+    actingPlayer: getActingPlayer(state),
+    actions: state.history
+      .filter(h => h.action === 'BAN' || h.action === 'PICK')
+      .map(({ action, stageId, player }) => ({ action, stageId, player })),
+    set: {
+      bestOf: set.bestOf,
+      game: set.winner ? set.games.length : set.games.length + 1,
+      score: getScore(set),
+      winsNeeded: getWinsNeeded(set),
+      games: set.games,
+      winner: set.winner,
+      dsr: set.dsr,
+      timer: set.timer,
+      firstStriker: set.firstStriker
+    },
+    firstStriker: {
+      method: getFirstStrikerMethod(state),
+      pending: isFirstStrikerPending(state),
+      chooser: getHigherSeed(state),
+      rps: { P1: !!state.rps?.P1, P2: !!state.rps?.P2 }, // who already chose, not what
+      result: state.firstStriker || null
+    },
+    timer: getTimerView(state),
+    startgg: getStartggSummary(state)
+  };
+}
+
+// ============================================================================
+// ACCESS CONTROL
+// ============================================================================
+
+/**
+ * Optional access tokens, read from ACCESS_FILE (see data/access.example.json):
+ *
+ * { "tokens": [
+ *   { "token": "...", "role": "arbiter" },
+ *   { "token": "...", "role": "player", "player": "P1", "match": "SET1" },
+ *   { "token": "...", "role": "viewer" }
+ * ] }
+ *
+ * - arbiter: every action
+ * - player:  BAN/PICK only while it's their slot's turn, their own RPS entry
+ *            and the first-striker choice when they are the higher seed
+ * - viewer:  read-only (also what clients without a valid token get)
+ * - "match" is optional and limits the token to one match
+ *
+ * Without the file access control is off and every client is an arbiter.
+ *
+ * Seat links (/control/?match=SET1&seat=p1) turn an arbiter-level client into
+ * that player's own striking device, so each player can strike from a phone.
+ */
+
+const ACCESS_ROLES = ['arbiter', 'player', 'viewer'];
+
+function loadAccessTokens() {
+  if (!fs.existsSync(ACCESS_FILE)) {
+    return null;
+  }
+
+  const { tokens = [] } = JSON.parse(fs.readFileSync(ACCESS_FILE, 'utf8'));
+  const loaded = new Map();
+
+  for (const [i, entry] of tokens.entries()) {
+    if (!entry.token || typeof entry.token !== 'string') {
+      console.warn(`⚠️  Skipping access token ${i}: missing token`);
+    } else if (!ACCESS_ROLES.includes(entry.role)) {
+      console.warn(`⚠️  Skipping access token ${i}: invalid role ${entry.role}`);
+    } else if (entry.role === 'player' && !PLAYER_SLOTS.includes(entry.player)) {
+      console.warn(`⚠️  Skipping access token ${i}: player tokens need a player slot`);
+    } else {
+      const { role, player = null, match = null } = entry;
+      loaded.set(entry.token, { role, player, match });
+    }
+  }
+
+  console.log(`🔐 Access control enabled (${loaded.size} token(s))`);
+  return loaded;
+}
+
+const accessTokens = loadAccessTokens();
+
+function resolveAccess(token, seat) {
+  const access = !accessTokens
+    ? { role: 'arbiter', player: null, match: null }
+    : accessTokens.get(token) || { role: 'viewer', player: null, match: null };
+
+  // A player token's slot always wins over the seat in the URL
+  const slot = typeof seat === 'string' ? seat.toUpperCase() : null;
+  if (access.role === 'arbiter' && PLAYER_SLOTS.includes(slot)) {
+    return { ...access, role: 'player', player: slot };
+  }
+  return access;
+}
+
+// Returns {code, error}, or null when the action is allowed
+function authorizeAction(access, matchId, { type, player }) {
+  if (access.match && access.match !== matchId) {
+    return { code: ERROR_CODES.FORBIDDEN, error: `Not allowed on match ${matchId}` };
+  }
+
+  if (access.role === 'arbiter') {
+    return null;
+  }
+
+  if (access.role === 'player' && (type === 'BAN' || type === 'PICK')) {
+    const phase = getPhase(getState(matchId));
+    if (phase === PHASES.DONE || phase === PHASES.FIRST_STRIKER) {
+      return { code: ERROR_CODES.WRONG_PHASE, error: `Cannot ${type.toLowerCase()} in phase: ${phase}` };
+    }
+    if (getActingPlayer(getState(matchId)) !== access.player) {
+      return { code: ERROR_CODES.NOT_YOUR_TURN, error: 'Not your turn' };
+    }
+    return null;
+  }
+
+  if (access.role === 'player' && type === 'RPS') {
+    return player === access.player ? null : { code: ERROR_CODES.FORBIDDEN, error: 'Not your seat' };
+  }
+
+  if (access.role === 'player' && type === 'CHOOSE_STRIKER') {
+    const state = getState(matchId);
+    if (getFirstStrikerMethod(state) !== 'seed' || getHigherSeed(state) !== access.player) {
+      return { code: ERROR_CODES.FORBIDDEN, error: 'Only the higher seed can choose' };
+    }
+    return null;
+  }
+
+  return { code: ERROR_CODES.FORBIDDEN, error: `Not allowed: ${access.role} cannot ${type}` };
+}
+
+// ============================================================================
+// ACTION DISPATCH (shared by Socket.IO and HTTP)
+// ============================================================================
+
+// A new entry (or new roles) after an undo makes the undone branch stale
+const REDO_CLEARING_ACTIONS = ['BAN', 'PICK', 'FORCE_NEXT_PHASE', 'COIN_FLIP', 'RPS', 'CHOOSE_STRIKER', 'REPORT_RESULT', 'SWAP_ROLES'];
+
+/**
+ * Runs an action against a match, then persists and broadcasts the new state
+ * to the match room. Returns the handler result ({ok, code, error, event}).
+ *
+ * `version` is optional: the state version the client saw when it acted. If
+ * the match has changed since (another tablet acted first, or the client
+ * missed updates while offline) the action is rejected with STALE_STATE
+ * instead of being applied to a state nobody looked at.
+ */
+function runAction(matchId, { type, version, stageId, mode, ruleset, videogame, bestOf, winner, dsr, timer, players, player, choice, firstStriker, index }) {
+  const state = getState(matchId);
+  if (!state) {
+    return { ok: false, code: ERROR_CODES.MATCH_NOT_FOUND, error: `Match not found: ${matchId}` };
+  }
+
+  if (version !== undefined && version !== null) {
+    if (!Number.isInteger(version) || version < 0) {
+      return { ok: false, code: ERROR_CODES.INVALID_INPUT, error: `Invalid version: ${version}` };
+    }
+    if (version !== state.version) {
+      console.log(`⚡ Action [${matchId}]: ${type} -> stale (based on v${version}, match at v${state.version})`);
+      return { ok: false, code: ERROR_CODES.STALE_STATE, error: `Stale action: match changed (version ${state.version})` };
+    }
+  }
+
+  const prevPhase = getPhase(state);
+  let result;
+
+  switch (type) {
+    case 'BAN':
+      result = handleBan(state, stageId);
+      break;
+    case 'PICK':
+      result = handlePick(state, stageId);
+      break;
+    case 'UNDO':
+      result = handleUndo(state);
+      break;
+    case 'REDO':
+      result = handleRedo(state);
+      if (result.ok && result.newState) {
+        matchStates.set(matchId, result.newState);
+      }
+      break;
+    case 'JUMP_TO':
+      result = handleJumpTo(state, index);
+      break;
+    case 'RESET':
+      console.log(`🔄 RESET requested for match: ${matchId}`);
+      result = handleReset(matchId);
+      console.log(`🔄 RESET applied. New state:`, getComputedState(matchId));
+      break;
+    case 'RESET_SET':
+      result = handleResetSet(matchId);
+      break;
+    case 'SET_BEST_OF':
+      result = handleSetBestOf(state, bestOf);
+      break;
+    case 'SET_DSR':
+      result = handleSetDsr(state, dsr ?? null);
+      break;
+    case 'SET_TIMER':
+      result = handleSetTimer(state, timer ?? null);
+      break;
+    case 'SET_FIRST_STRIKER':
+      result = handleSetFirstStriker(state, firstStriker ?? null);
+      break;
+    case 'COIN_FLIP':
+      result = handleCoinFlip(state);
+      break;
+    case 'RPS':
+      result = handleRps(state, player, choice);
+      break;
+    case 'CHOOSE_STRIKER':
+      result = handleChooseStriker(state, player);
+      break;
+    case 'SET_PLAYERS':
+      result = handleSetPlayers(state, players);
+      break;
+    case 'SWAP_ROLES':
+      result = handleSwapRoles(state);
+      break;
+    case 'REPORT_RESULT':
+      result = handleReportResult(state, winner);
+      if (result.ok && result.newState) {
+        matchStates.set(matchId, result.newState);
+      }
+      break;
+    case 'SET_MODE':
+      result = handleSetMode(state, mode);
+      if (result.ok && result.newState) {
+        matchStates.set(matchId, result.newState);
+      }
+      break;
+    case 'SET_RULESET':
+      result = handleSetRuleset(state, ruleset);
+      if (result.ok && result.newState) {
+        matchStates.set(matchId, result.newState);
+      }
+      break;
+    case 'SET_VIDEOGAME':
+      result = handleSetVideogame(state, videogame);
+      if (result.ok && result.newState) {
+        matchStates.set(matchId, result.newState);
+      }
+      break;
+    case 'FORCE_NEXT_PHASE':
+      result = handleForceNextPhase(state);
+      break;
+    default:
+      result = { ok: false, code: ERROR_CODES.UNKNOWN_ACTION, error: `Unknown action: ${type}` };
+  }
+
+  // If successful, persist and broadcast state update to all in room
+  if (result.ok) {
+    if (REDO_CLEARING_ACTIONS.includes(type)) {
+      getState(matchId).redo = [];
+    }
+    getState(matchId).updatedAt = Date.now();
+    publishMatch(matchId);
+
+    // Also emit event for overlays (BAN/PICK/RESULT only)
+    if (result.event) {
+      emitToMatch(matchId, 'event:push', result.event);
+    }
+
+    // Send finished sets back to start.gg
+    if (result.event?.setWinner && getState(matchId).startgg && STARTGG_AUTO_REPORT) {
+      reportStartggSet(matchId).catch(() => { /* status is kept on the match */ });
+    }
+
+    // Drive OBS scenes/sources from bans and picks
+    if (result.event) {
+      handleObsEvent(matchId, result.event).catch(err => {
+        console.warn(`⚠️  OBS [${matchId}]: ${err.message}`);
+      });
+    }
+
+    // Notify webhooks (Discord bots, spreadsheet automation...)
+    handleWebhookEvents(matchId, type, result.event, prevPhase);
+  }
+
+  console.log(`⚡ Action [${matchId}]: ${type} ${stageId || mode || ruleset || videogame || bestOf || winner || dsr || ''} -> ${result.ok ? 'OK' : result.error}`);
+  return result;
+}
+
+// Persist a match and push its state to its room and the admin dashboard
+function publishMatch(matchId) {
+  getState(matchId).version += 1;
+  syncTimer(matchId);
+  saveMatch(matchId);
+  emitToMatch(matchId, 'state:update', getComputedState(matchId));
+  broadcastMatches();
+}
+
+const REQUEST_ID_MAX_LENGTH = 64;
+
+/**
+ * Checks and runs an action sent by a client (socket or HTTP) and builds its
+ * answer: {requestId, type, ok, code, error, version}.
+ *
+ * - requestId: echoed back as sent (string or number, else null), so a client
+ *   with several actions in flight can tell which answer is whose
+ * - code: one of ERROR_CODES when ok is false
+ * - version: the match's version after the action (current one if it failed)
+ */
+function dispatchAction(access, matchId, payload) {
+  let result;
+  if (!matchStates.has(matchId)) {
+    result = { ok: false, code: ERROR_CODES.MATCH_NOT_FOUND, error: `Match not found: ${matchId}` };
+  } else {
+    const denied = authorizeAction(access, matchId, payload);
+    if (denied) {
+      console.log(`🚫 Action [${matchId}]: ${payload.type} denied for ${access.role} -> ${denied.error}`);
+    }
+    result = denied ? { ok: false, ...denied } : runAction(matchId, payload);
+  }
+
+  const { requestId } = payload;
+  const validRequestId = (typeof requestId === 'string' && requestId.length <= REQUEST_ID_MAX_LENGTH)
+    || Number.isFinite(requestId);
+
+  return {
+    requestId: validRequestId ? requestId : null,
+    type: payload.type,
+    ok: result.ok,
+    code: result.ok ? null : result.code,
+    error: result.ok ? null : result.error,
+    version: getState(matchId)?.version ?? null
+  };
+}
+
+// ============================================================================
+// LIVE FEEDS (SSE and flat JSON)
+// ============================================================================
+
+/**
+ * For graphics tools that can't embed the Socket.IO client (scoreboards,
+ * vMix / H2R Graphics data sources, NodeCG bundles):
+ *
+ * - GET /api/matches/:id/stream: Server-Sent Events with the payloads of the
+ *   Socket.IO room; the SSE event name is the Socket.IO one (state:update,
+ *   event:push, match:notFound, match:deleted, match:renamed). Streams on a
+ *   renamed match follow it to the new ID.
+ * - GET /api/matches/:id/feed: one flat object for polling. Every field is
+ *   always there ('' / 0 / false when empty) and stage names and image URLs
+ *   are already resolved, so column mappings never break mid-set.
+ */
+
+const SSE_KEEPALIVE_MS = 15000;
+const FEED_BAN_SLOTS = 10; // ban1..ban10 fields; banCount has the real total
+const FEED_GAME_SLOTS = Math.max(...BEST_OF_OPTIONS);
+
+// matchId -> Set of open SSE responses
+const sseClients = new Map();
+
+// Socket.IO room plus SSE streams of a match
+function emitToMatch(matchId, event, payload) {
+  io.to(matchId).emit(event, payload);
+  sseClients.get(matchId)?.forEach(res => writeSse(res, event, payload));
+}
+
+function writeSse(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function addSseClient(matchId, res) {
+  if (!sseClients.has(matchId)) {
+    sseClients.set(matchId, new Set());
+  }
+  sseClients.get(matchId).add(res);
+}
+
+function removeSseClient(matchId, res) {
+  const clients = sseClients.get(matchId);
+  clients?.delete(res);
+  if (clients?.size === 0) {
+    sseClients.delete(matchId);
+  }
+}
+
+function moveSseClients(from, to) {
+  for (const res of sseClients.get(from) || []) {
+    res.locals.matchId = to;
+    addSseClient(to, res);
+  }
+  sseClients.delete(from);
+}
+
+// Comment lines keep proxies and idle timeouts from closing quiet streams
+setInterval(() => {
+  for (const clients of sseClients.values()) {
+    clients.forEach(res => res.write(': ping\n\n'));
+  }
+}, SSE_KEEPALIVE_MS);
+
+// Same URL the overlay builds, made absolute for tools outside the browser
+function getStageImageUrl(game, stage, baseUrl) {
+  return `${baseUrl}${game.assets}/${stage.id}.png${stage.imageVersion ? `?v=${stage.imageVersion}` : ''}`;
+}
+
+// { <key>Id, <key>Name, <key>Short, <key>Image }, empty strings without a stage
+function getFeedStageFields(game, key, stageId, baseUrl) {
+  const stage = stageId ? getStage(game.id, stageId) : null;
+  return {
+    [`${key}Id`]: stageId || '',
+    [`${key}Name`]: stageId ? getStageName(game.id, stageId) : '',
+    [`${key}Short`]: stage?.short || '',
+    [`${key}Image`]: stage ? getStageImageUrl(game, stage, baseUrl) : ''
+  };
+}
+
+function getMatchFeed(matchId, baseUrl) {
+  const state = getState(matchId);
+  const { set } = state;
+  const score = getScore(set);
+  const timer = getTimerView(state);
+  const acting = getActingPlayer(state);
+  const game = getGame(getMatchVideogame(state));
+
+  const feed = {
+    matchId,
+    version: state.version,
+    videogame: game.id,
+    videogameName: game.name,
+    ruleset: state.ruleset,
+    rulesetName: rulesets.get(state.ruleset).name || state.ruleset,
+    mode: state.mode,
+    phase: getPhase(state),
+    game: set.winner ? set.games.length : set.games.length + 1,
+    bestOf: set.bestOf,
+    setOver: Boolean(set.winner),
+    setWinner: set.winner || '',
+    setWinnerTag: set.winner ? getPlayerName(state, set.winner) : '',
+    actingPlayer: acting || '',
+    actingTag: acting ? getPlayerName(state, acting) : '',
+    timerSeconds: timer ? Math.ceil(timer.remainingMs / 1000) : 0,
+    timerExpired: Boolean(timer?.expired),
+    updatedAt: state.updatedAt || 0
+  };
+
+  for (const slot of PLAYER_SLOTS) {
+    const key = slot.toLowerCase();
+    const player = state.players[slot];
+    for (const field of PLAYER_FIELDS) {
+      feed[`${key}${field[0].toUpperCase()}${field.slice(1)}`] = player[field];
+    }
+    feed[`${key}Score`] = score[slot];
+    feed[`${key}Role`] = state.roles.WINNER === slot ? 'WINNER' : 'LOSER';
+  }
+
+  Object.assign(feed, getFeedStageFields(game, 'pick', state.pick, baseUrl));
+  feed.banCount = state.bans.length;
+  for (let i = 0; i < FEED_BAN_SLOTS; i++) {
+    Object.assign(feed, getFeedStageFields(game, `ban${i + 1}`, state.bans[i], baseUrl));
+  }
+
+  for (let i = 0; i < FEED_GAME_SLOTS; i++) {
+    const played = set.games[i];
+    Object.assign(feed, getFeedStageFields(game, `game${i + 1}Stage`, played?.stage, baseUrl));
+    feed[`game${i + 1}Winner`] = played?.winner || '';
+    feed[`game${i + 1}WinnerTag`] = played ? getPlayerName(state, played.winner) : '';
+  }
+
+  return feed;
+}
+
+// ============================================================================
+// TURN TIMERS
+// ============================================================================
+
+/**
+ * The clock runs on the server: the match keeps the deadline and a timeout
+ * per match fires the expiry behaviour. Clients get the remaining time in
+ * the computed state and count down locally.
+ *
+ * The timer restarts whenever its key changes (next ban/pick or next phase,
+ * undo, reset, next game), when the history is rewound (UNDO or JUMP_TO
+ * inside a per-phase step) and after an automatic ban/pick; anything else
+ * (players, best-of...) keeps it.
+ */
+
+const matchTimers = new Map();
+
+function getTimerKey(state, config) {
+  const key = `${state.set.games.length}:${state.mode}:${state.step}`;
+  return config.per === 'action' ? `${key}:${state.history.length}` : key;
+}
+
+function getTimerView(state) {
+  const config = getTimerConfig(state);
+  if (!config || !state.timer) {
+    return null;
+  }
+
+  return {
+    remainingMs: Math.max(0, state.timer.deadline - Date.now()),
+    durationMs: state.timer.durationMs,
+    expired: state.timer.expired,
+    per: config.per,
+    onExpire: config.onExpire
+  };
+}
+
+function clearMatchTimer(matchId) {
+  clearTimeout(matchTimers.get(matchId));
+  matchTimers.delete(matchId);
+}
+
+// Starts, keeps or stops the match's clock to match its current state
+function syncTimer(matchId) {
+  clearMatchTimer(matchId);
+
+  const state = matchStates.get(matchId);
+  const config = state && getTimerConfig(state);
+  if (!config || !getCurrentStep(state) || state.set.winner) {
+    if (state) state.timer = null;
+    return;
+  }
+
+  const key = getTimerKey(state, config);
+  const rewound = state.history.length < (state.timer?.historyLength ?? 0);
+  if (state.timer?.key !== key || rewound) {
+    const durationMs = config.seconds * 1000;
+    state.timer = { key, deadline: Date.now() + durationMs, durationMs, expired: false };
+  }
+  state.timer.historyLength = state.history.length;
+
+  if (!state.timer.expired) {
+    const delay = Math.max(0, state.timer.deadline - Date.now());
+    matchTimers.set(matchId, setTimeout(() => expireTimer(matchId, key), delay));
+  }
+}
+
+function expireTimer(matchId, key) {
+  matchTimers.delete(matchId);
+
+  const state = matchStates.get(matchId);
+  if (!state || state.timer?.key !== key) {
+    return;
+  }
+
+  const { onExpire } = getTimerConfig(state);
+  const step = getCurrentStep(state);
+  console.log(`⏱️  Timer expired [${matchId}]: ${getPhase(state)} -> ${onExpire}`);
+  emitToMatch(matchId, 'event:push', { type: 'TIMER_EXPIRED', player: getActingPlayer(state), onExpire, ts: Date.now() });
+
+  if (onExpire === 'advance') {
+    runAction(matchId, { type: 'FORCE_NEXT_PHASE' });
+    return;
+  }
+
+  if (onExpire === 'random') {
+    const locked = getDsrLocked(state);
+    const candidates = getAvailableStages(state).filter(id => !locked.includes(id));
+    if (candidates.length > 0) {
+      const stageId = candidates[Math.floor(Math.random() * candidates.length)];
+      // One stage per expiry: the rest of a per-phase step gets a new deadline
+      state.timer = null;
+      runAction(matchId, { type: step.action, stageId });
+      return;
+    }
+  }
+
+  // warn (or nothing left to pick at random): flag it and wait for the arbiter
+  state.timer.expired = true;
+  publishMatch(matchId);
+}
+
+// ============================================================================
+// MATCH ADMINISTRATION (admin dashboard)
+// ============================================================================
+
+const CLIENT_TYPES = ['control', 'overlay'];
+const MATCH_ID_MAX_LENGTH = 64;
+
+// Connected clients per match, by the type they announced on join
+function getClientCounts(matchId) {
+  const counts = { control: 0, overlay: 0 };
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.data.matchId === matchId && CLIENT_TYPES.includes(socket.data.client)) {
+      counts[socket.data.client]++;
+    }
+  }
+
+  // SSE streams are read-only graphics, like overlays
+  counts.overlay += sseClients.get(matchId)?.size || 0;
+  return counts;
+}
+
+function getMatchSummary(matchId) {
+  const state = matchStates.get(matchId);
+  const { set } = getComputedState(matchId);
+
+  return {
+    matchId,
+    videogame: getMatchVideogame(state),
+    mode: state.mode,
+    ruleset: state.ruleset,
+    phase: getPhase(state),
+    bans: state.bans,
+    pick: state.pick,
+    players: { P1: state.players.P1.tag, P2: state.players.P2.tag },
+    set: { game: set.game, bestOf: set.bestOf, score: set.score, winner: set.winner },
+    clients: getClientCounts(matchId),
+    startgg: getStartggSummary(state),
+    updatedAt: state.updatedAt
+  };
+}
+
+function listMatches() {
+  return [...matchStates.keys()].sort().map(getMatchSummary);
+}
+
+function broadcastMatches() {
+  io.to('admin').emit('matches:update', listMatches());
+}
+
+// Returns an error message, or null for a usable match ID
+function validateMatchId(matchId) {
+  if (typeof matchId !== 'string' || !matchId.trim() || matchId.trim().length > MATCH_ID_MAX_LENGTH) {
+    return 'Invalid match ID';
+  }
+  return null;
+}
+
+// Without a ruleset the match starts with its game's default one
+function handleCreateMatch(matchId, { videogame, ruleset, bestOf = DEFAULT_BEST_OF } = {}) {
+  const error = validateMatchId(matchId);
+  if (error) {
+    return { ok: false, error };
+  }
+
+  matchId = matchId.trim();
+  if (matchStates.has(matchId)) {
+    return { ok: false, error: `Match already exists: ${matchId}` };
+  }
+  if (matchStates.size >= MAX_MATCHES) {
+    return { ok: false, error: `Too many live matches (${MAX_MATCHES}): delete or finish one first` };
+  }
+  if (videogame !== undefined && !getGame(videogame)) {
+    return { ok: false, error: `Invalid videogame: ${videogame}` };
+  }
+  ruleset = ruleset ?? (videogame ? getGame(videogame).defaultRuleset : DEFAULT_RULESET);
+  if (!rulesets.has(ruleset)) {
+    return { ok: false, error: `Invalid ruleset: ${ruleset}` };
+  }
+  if (videogame !== undefined && rulesets.get(ruleset).videogame !== videogame) {
+    return { ok: false, error: `Ruleset ${ruleset} is not for ${videogame}` };
+  }
+  if (!BEST_OF_OPTIONS.includes(bestOf)) {
+    return { ok: false, error: `Invalid best-of: ${bestOf}` };
+  }
+
+  matchStates.set(matchId, createInitialState('G1', ruleset, bestOf));
+  publishMatch(matchId);
+  console.log(`➕ Match created: ${matchId}`);
+  return { ok: true, matchId };
+}
+
+function handleDeleteMatch(matchId, reason = 'deleted') {
+  if (!matchStates.has(matchId)) {
+    return { ok: false, error: `Match not found: ${matchId}` };
+  }
+
+  archiveSet(matchId, reason);
+  matchStates.delete(matchId);
+  clearMatchTimer(matchId);
+  deleteMatchFile(matchId);
+  emitToMatch(matchId, 'match:deleted', { matchId });
+  return { ok: true };
+}
+
+function handleRenameMatch(matchId, newId) {
+  if (!matchStates.has(matchId)) {
+    return { ok: false, error: `Match not found: ${matchId}` };
+  }
+
+  const error = validateMatchId(newId);
+  if (error) {
+    return { ok: false, error };
+  }
+
+  newId = newId.trim();
+  if (matchStates.has(newId)) {
+    return { ok: false, error: `Match already exists: ${newId}` };
+  }
+
+  matchStates.set(newId, matchStates.get(matchId));
+  matchStates.delete(matchId);
+  clearMatchTimer(matchId);
+  syncTimer(newId);
+  saveMatch(newId);
+  deleteMatchFile(matchId);
+
+  // Connected clients follow the match to its new ID
+  emitToMatch(matchId, 'match:renamed', { from: matchId, to: newId });
+  moveSseClients(matchId, newId);
+  return { ok: true };
+}
+
+// ============================================================================
+// MATCH LIFECYCLE (expiry and archive)
+// ============================================================================
+
+/**
+ * Finished sets are appended to ARCHIVE_FILE (one JSON record per line) when
+ * they leave the live list: expiry, delete, a new set on the same match or a
+ * new start.gg link. The archive is kept in memory for /api/archive queries.
+ *
+ * Matches with no action for MATCH_TTL_MINUTES and nobody connected expire;
+ * at most MAX_MATCHES can be live at once.
+ */
+
+const ARCHIVE_QUERY_LIMIT = 100;
+const EXPIRY_SWEEP_MS = 60 * 1000;
+
+function loadArchive() {
+  if (!fs.existsSync(ARCHIVE_FILE)) {
+    return [];
+  }
+
+  const records = [];
+  for (const line of fs.readFileSync(ARCHIVE_FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      console.warn(`⚠️  Skipping archive line: ${err.message}`);
+    }
+  }
+  return records;
+}
+
+const archivedSets = loadArchive();
+
+function archiveSet(matchId, reason) {
+  const state = matchStates.get(matchId);
+  if (!state?.set.winner) {
+    return;
+  }
+
+  const archivedAt = Date.now();
+  const record = {
+    id: `${matchId}-${archivedAt}`,
+    matchId,
+    archivedAt,
+    reason,
+    videogame: getMatchVideogame(state),
+    ruleset: state.ruleset,
+    players: state.players,
+    set: {
+      bestOf: state.set.bestOf,
+      score: getScore(state.set),
+      winner: state.set.winner,
+      games: state.set.games
+    },
+    startgg: state.startgg && { setId: state.startgg.setId, round: state.startgg.round, eventSlug: state.startgg.eventSlug }
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(ARCHIVE_FILE), { recursive: true });
+    fs.appendFileSync(ARCHIVE_FILE, `${JSON.stringify(record)}\n`);
+    archivedSets.push(record);
+    console.log(`🗄️  Archived set ${record.id} (${reason})`);
+  } catch (err) {
+    console.error(`❌ Failed to archive match ${matchId}:`, err.message);
+  }
+}
+
+// Newest first; ?match=, ?player= (tag, case-insensitive), ?since= (ms) and ?limit=
+function queryArchive({ match, player, since, limit } = {}) {
+  const tag = typeof player === 'string' ? player.toLowerCase() : null;
+  const max = Math.min(Number(limit) || ARCHIVE_QUERY_LIMIT, ARCHIVE_QUERY_LIMIT);
+
+  return archivedSets
+    .filter(r => !match || r.matchId === match)
+    .filter(r => !tag || PLAYER_SLOTS.some(slot => r.players[slot].tag.toLowerCase() === tag))
+    .filter(r => !since || r.archivedAt >= Number(since))
+    .slice(-max)
+    .reverse();
+}
+
+function expireIdleMatches() {
+  if (!MATCH_TTL_MINUTES) return;
+
+  const cutoff = Date.now() - MATCH_TTL_MINUTES * 60 * 1000;
+  let expired = 0;
+
+  for (const [matchId, state] of matchStates) {
+    const clients = getClientCounts(matchId);
+    if (state.updatedAt < cutoff && clients.control + clients.overlay === 0) {
+      handleDeleteMatch(matchId, 'expired');
+      expired++;
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`⌛ Expired ${expired} idle match(es)`);
+    broadcastMatches();
+  }
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Tournament-wide ban/pick numbers, built from reported games only (live
+ * matches plus the archive), so undone bans or a selection that never got a
+ * result don't count. Players are identified by tag; games without tags
+ * still count for the stage numbers.
+ *
+ * - G1 bans are striking bans, G2+ bans are the winner's counterpick bans
+ * - G2+ picks are counterpicks; a G1 pick is the game's final stage
+ */
+
+const STATS_TABLES = ['stages', 'players', 'games'];
+
+// Every reported game as a flat row, oldest set first
+function collectGames({ videogame, ruleset, since } = {}) {
+  const sets = [
+    // Sets archived before game profiles existed were all DEFAULT_GAME
+    ...archivedSets.map(r => ({ matchId: r.matchId, videogame: r.videogame || DEFAULT_GAME, ruleset: r.ruleset, players: r.players, games: r.set.games })),
+    ...[...matchStates].map(([matchId, s]) => ({ matchId, videogame: getMatchVideogame(s), ruleset: s.ruleset, players: s.players, games: s.set.games }))
+  ];
+
+  const rows = [];
+  for (const set of sets) {
+    if (videogame && set.videogame !== videogame) continue;
+    if (ruleset && set.ruleset !== ruleset) continue;
+
+    const tag = slot => (slot && set.players[slot]?.tag) || null;
+    for (const game of set.games) {
+      if (since && game.ts && game.ts < Number(since)) continue;
+      rows.push({
+        matchId: set.matchId,
+        videogame: set.videogame,
+        ruleset: set.ruleset,
+        game: game.game,
+        mode: game.mode,
+        stage: game.stage,
+        winner: tag(game.winner),
+        loser: tag(getOpponent(game.winner)),
+        picker: tag(game.picker),
+        bans: (game.bans || []).map(b => ({ stageId: b.stageId, tag: tag(b.player) })),
+        ts: game.ts || null
+      });
+    }
+  }
+  return rows;
+}
+
+function countInto(counts, key) {
+  if (key) {
+    counts[key] = (counts[key] || 0) + 1;
+  }
+}
+
+// Key with the highest count, or null
+function getTop(counts) {
+  const entries = Object.entries(counts);
+  return entries.length ? entries.sort((a, b) => b[1] - a[1])[0][0] : null;
+}
+
+function getStats(filters = {}) {
+  const games = collectGames(filters);
+  const byStage = new Map();
+  const byPlayer = new Map();
+
+  // Games share stage IDs (Battlefield...), so rows are per game and stage
+  const stageRow = (videogame, stageId) => {
+    const key = `${videogame}/${stageId}`;
+    if (!byStage.has(key)) {
+      byStage.set(key, { videogame, stageId, name: getStageName(videogame, stageId), games: 0, bans: 0, g1Bans: 0, counterpickBans: 0, g1Finals: 0, counterpicks: 0 });
+    }
+    return byStage.get(key);
+  };
+  const playerRow = (tag) => {
+    if (!byPlayer.has(tag)) {
+      byPlayer.set(tag, { tag, games: 0, wins: 0, bans: {}, counterpicks: {}, stageWins: {} });
+    }
+    return byPlayer.get(tag);
+  };
+
+  for (const game of games) {
+    const isG1 = game.mode === 'G1';
+
+    for (const { stageId, tag } of game.bans) {
+      const stage = stageRow(game.videogame, stageId);
+      stage.bans++;
+      stage[isG1 ? 'g1Bans' : 'counterpickBans']++;
+      if (tag) {
+        countInto(playerRow(tag).bans, stageId);
+      }
+    }
+
+    if (game.stage) {
+      const stage = stageRow(game.videogame, game.stage);
+      stage.games++;
+      stage[isG1 ? 'g1Finals' : 'counterpicks']++;
+      if (!isG1 && game.picker) {
+        countInto(playerRow(game.picker).counterpicks, game.stage);
+      }
+    }
+
+    for (const tag of [game.winner, game.loser].filter(Boolean)) {
+      playerRow(tag).games++;
+    }
+    if (game.winner) {
+      const player = playerRow(game.winner);
+      player.wins++;
+      countInto(player.stageWins, game.stage);
+    }
+  }
+
+  const players = [...byPlayer.values()].map(p => ({
+    ...p,
+    mostBanned: getTop(p.bans),
+    mostCounterpicked: getTop(p.counterpicks),
+    bestStage: getTop(p.stageWins)
+  }));
+
+  return {
+    generatedAt: Date.now(),
+    filters: { videogame: filters.videogame || null, ruleset: filters.ruleset || null, since: filters.since ? Number(filters.since) : null },
+    games: games.length,
+    stages: [...byStage.values()].sort((a, b) => b.bans - a.bans || b.games - a.games),
+    players: players.sort((a, b) => b.games - a.games || a.tag.localeCompare(b.tag)),
+    recent: games.slice(-20).reverse()
+  };
+}
+
+function toCsv(header, rows) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+function getStatsCsv(table, filters) {
+  if (table === 'games') {
+    return toCsv(
+      ['match', 'videogame', 'ruleset', 'game', 'mode', 'stage', 'picker', 'winner', 'loser', 'bans', 'time'],
+      collectGames(filters).map(g => [
+        g.matchId, g.videogame, g.ruleset, g.game, g.mode, g.stage, g.picker, g.winner, g.loser,
+        g.bans.map(b => b.stageId).join(' '),
+        g.ts && new Date(g.ts).toISOString()
+      ])
+    );
+  }
+
+  const stats = getStats(filters);
+  if (table === 'stages') {
+    return toCsv(
+      ['videogame', 'stage', 'name', 'bans', 'g1_bans', 'counterpick_bans', 'g1_finals', 'counterpicks', 'games'],
+      stats.stages.map(s => [s.videogame, s.stageId, s.name, s.bans, s.g1Bans, s.counterpickBans, s.g1Finals, s.counterpicks, s.games])
+    );
+  }
+  return toCsv(
+    ['tag', 'games', 'wins', 'bans', 'most_banned', 'counterpicks', 'most_counterpicked', 'best_stage'],
+    stats.players.map(p => [
+      p.tag, p.games, p.wins,
+      Object.values(p.bans).reduce((a, b) => a + b, 0), p.mostBanned,
+      Object.values(p.counterpicks).reduce((a, b) => a + b, 0), p.mostCounterpicked,
+      p.bestStage
+    ])
+  );
+}
+
+// ============================================================================
+// STAGE CATALOG (admin dashboard)
+// ============================================================================
+
+/**
+ * Each game's stage list (its profile's stagesFile) can be edited while the
+ * server runs. Every change is checked against that game's rulesets (a
+ * ruleset must keep enough legal stages for its bans), saved and pushed to
+ * every client.
+ *
+ * Stage flags:
+ * - starter:     legal in G1 for rulesets without an explicit stage list
+ * - counterpick: legal in G2PLUS only (same rulesets)
+ * - banned:      never legal, even if a ruleset lists it (retired stage)
+ *
+ * Images live in the game's assets folder as <id>.png; "imageVersion" changes
+ * on upload so clients reload it.
+ */
+
+const STAGE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,47}$/;
+const STAGE_FLAGS = ['starter', 'counterpick', 'banned'];
+const STAGE_NAME_MAX_LENGTH = 48;
+const STAGE_SHORT_MAX_LENGTH = 8;
+const STAGE_IMAGE_MAX_SIZE = '5mb';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Applies the editable fields of `input` over `stage`; returns an error or null
+function applyStageFields(stage, input) {
+  for (const [field, maxLength] of [['name', STAGE_NAME_MAX_LENGTH], ['short', STAGE_SHORT_MAX_LENGTH]]) {
+    if (input[field] === undefined) continue;
+    const value = typeof input[field] === 'string' ? input[field].trim() : '';
+    if (!value || value.length > maxLength) {
+      return `Invalid ${field}`;
+    }
+    stage[field] = value;
+  }
+
+  if (input.startggId !== undefined) {
+    if (input.startggId === null || input.startggId === '') {
+      delete stage.startggId;
+    } else {
+      stage.startggId = String(input.startggId);
+    }
+  }
+
+  // Translated names by locale ({ "ja": "戦場" }); an empty name drops it
+  if (input.names !== undefined) {
+    if (!input.names || typeof input.names !== 'object' || Array.isArray(input.names)) {
+      return 'Invalid names: must be an object of locale -> name';
+    }
+    const names = { ...stage.names };
+    for (const [localeId, value] of Object.entries(input.names)) {
+      const name = typeof value === 'string' ? value.trim() : null;
+      if (!LOCALE_ID_PATTERN.test(localeId) || name === null || name.length > STAGE_NAME_MAX_LENGTH) {
+        return `Invalid name for locale ${localeId}`;
+      }
+      if (name) {
+        names[localeId] = name;
+      } else {
+        delete names[localeId];
+      }
+    }
+    if (Object.keys(names).length > 0) {
+      stage.names = names;
+    } else {
+      delete stage.names;
+    }
+  }
+
+  for (const flag of STAGE_FLAGS) {
+    if (input[flag] === undefined) continue;
+    if (typeof input[flag] !== 'boolean') {
+      return `Invalid ${flag}: must be true or false`;
+    }
+    stage[flag] = input[flag];
+  }
+
+  return null;
+}
+
+function saveStages(game) {
+  const tmp = `${game.stagesFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(game.stages, null, 4));
+  fs.renameSync(tmp, game.stagesFile);
+}
+
+// Validates the new catalog against the game's rulesets, then saves and publishes it
+function commitStages(game, next) {
+  for (const ruleset of rulesets.values()) {
+    if (ruleset.videogame !== game.id) continue;
+    const error = validateRuleset(ruleset, next);
+    if (error) {
+      return { ok: false, error: `Ruleset ${ruleset.id}: ${error}` };
+    }
+  }
+
+  game.stages = next;
+  saveStages(game);
+  startggStageMaps.clear();
+  publishStages(game);
+  return { ok: true };
+}
+
+// Clients showing this game reload the catalog; its matches get their
+// (possibly changed) legal stages
+function publishStages(game) {
+  io.emit('stages:update', { videogame: game.id, stages: game.stages });
+  for (const [matchId, state] of matchStates) {
+    if (getMatchVideogame(state) !== game.id) continue;
+    state.version += 1;
+    saveMatch(matchId);
+    emitToMatch(matchId, 'state:update', getComputedState(matchId));
+  }
+  broadcastMatches();
+}
+
+function handleCreateStage(game, input = {}) {
+  const { id } = input;
+  if (typeof id !== 'string' || !STAGE_ID_PATTERN.test(id)) {
+    return { ok: false, error: 'Invalid stage id (lowercase letters, digits and dashes)' };
+  }
+  if (getStage(game.id, id)) {
+    return { ok: false, error: `Stage already exists: ${id}` };
+  }
+  if (input.name === undefined || input.short === undefined) {
+    return { ok: false, error: 'Missing name or short' };
+  }
+
+  const stage = { id, name: '', short: '', starter: false, counterpick: false, banned: false };
+  const error = applyStageFields(stage, input);
+  if (error) {
+    return { ok: false, error };
+  }
+
+  const result = commitStages(game, [...game.stages, stage]);
+  return result.ok ? { ok: true, stage } : result;
+}
+
+function handleUpdateStage(game, stageId, input = {}) {
+  const current = getStage(game.id, stageId);
+  if (!current) {
+    return { ok: false, error: `Stage not found: ${stageId}` };
+  }
+
+  const stage = { ...current };
+  const error = applyStageFields(stage, input);
+  if (error) {
+    return { ok: false, error };
+  }
+
+  const result = commitStages(game, game.stages.map(s => (s.id === stageId ? stage : s)));
+  return result.ok ? { ok: true, stage } : result;
+}
+
+function handleDeleteStage(game, stageId) {
+  if (!getStage(game.id, stageId)) {
+    return { ok: false, error: `Stage not found: ${stageId}` };
+  }
+
+  // Matches keep stage IDs in their history, so used stages can only be retired
+  for (const [matchId, state] of matchStates) {
+    if (getMatchVideogame(state) !== game.id) continue;
+    const used = state.history.some(h => h.stageId === stageId) ||
+      state.set.games.some(g => g.stage === stageId || g.bans?.some(b => b.stageId === stageId));
+    if (used) {
+      return { ok: false, error: `Stage used in match ${matchId}: flag it as banned instead` };
+    }
+  }
+
+  return commitStages(game, game.stages.filter(s => s.id !== stageId));
+}
+
+function handleReorderStages(game, ids) {
+  const current = game.stages.map(s => s.id);
+  if (!Array.isArray(ids) || ids.length !== current.length || !current.every(id => ids.includes(id))) {
+    return { ok: false, error: 'Order must list every stage exactly once' };
+  }
+
+  return commitStages(game, ids.map(id => getStage(game.id, id)));
+}
+
+function handleStageImage(game, stageId, image) {
+  if (!getStage(game.id, stageId)) {
+    return { ok: false, error: `Stage not found: ${stageId}` };
+  }
+  if (!Buffer.isBuffer(image) || !image.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return { ok: false, error: 'Image must be a PNG (Content-Type: image/png)' };
+  }
+
+  fs.mkdirSync(game.imageDir, { recursive: true });
+  const file = path.join(game.imageDir, `${stageId}.png`);
+  fs.writeFileSync(`${file}.tmp`, image);
+  fs.renameSync(`${file}.tmp`, file);
+
+  return commitStages(game, game.stages.map(s => (s.id === stageId ? { ...s, imageVersion: Date.now() } : s)));
+}
+
+// ============================================================================
+// START.GG INTEGRATION
+// ============================================================================
+
+/**
+ * Import sets from a start.gg event, link one to a match (pre-filling players
+ * and best-of) and report the final score and per-game stages back when the
+ * set finishes. STARTGG_API_URL can point at a local mock GraphQL server.
+ */
+
+const startgg = createStartggClient({
+  url: process.env.STARTGG_API_URL || undefined,
+  token: process.env.STARTGG_TOKEN || null
+});
+
+// start.gg stage IDs per game: Map<"<game>:<videogameId>", Map<our stageId, start.gg id>>
+const startggStageMaps = new Map();
+
+function getStartggSummary(state) {
+  if (!state.startgg) {
+    return null;
+  }
+  const { setId, round, report } = state.startgg;
+  return { setId, round, report };
+}
+
+/**
+ * Our stage → start.gg stage ID, using "startggId" from the game's stage list
+ * when set, otherwise matching by name against the videogame's stage list.
+ */
+async function getStartggStageMap(game, videogameId) {
+  const key = `${game.id}:${videogameId}`;
+  if (startggStageMaps.has(key)) {
+    return startggStageMaps.get(key);
+  }
+
+  const remote = videogameId ? await startgg.getVideogameStages(videogameId) : [];
+  const byName = new Map(remote.map(s => [normalizeStageName(s.name), s.id]));
+  const map = new Map();
+  for (const stage of game.stages) {
+    const id = stage.startggId ? String(stage.startggId) : byName.get(normalizeStageName(stage.name));
+    if (id) {
+      map.set(stage.id, id);
+    }
+  }
+
+  startggStageMaps.set(key, map);
+  return map;
+}
+
+// The bracket's game picks the profile (by "startggVideogameId"); the match
+// keeps its ruleset when it is already for that game
+function getStartggRuleset(previousRuleset, videogameId) {
+  const game = [...games.values()].find(g => g.startggVideogameId && g.startggVideogameId === String(videogameId));
+  if (!game) {
+    return previousRuleset || DEFAULT_RULESET;
+  }
+  return rulesets.get(previousRuleset)?.videogame === game.id ? previousRuleset : game.defaultRuleset;
+}
+
+async function assignStartggSet(matchId, setId) {
+  const set = await startgg.getSet(setId);
+  if (!set.players.P1 || !set.players.P2) {
+    throw new Error('Set has no entrants yet');
+  }
+
+  // A linked set always starts a fresh set on the match
+  const previous = matchStates.get(matchId);
+  if (!previous) {
+    const error = validateMatchId(matchId) || (matchStates.size >= MAX_MATCHES && `Too many live matches (${MAX_MATCHES})`);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+  archiveSet(matchId, 'new-set');
+  const bestOf = BEST_OF_OPTIONS.includes(set.bestOf) ? set.bestOf : DEFAULT_BEST_OF;
+  const state = createInitialState('G1', getStartggRuleset(previous?.ruleset, set.videogameId), bestOf);
+  state.version = previous?.version || 0;
+
+  for (const slot of PLAYER_SLOTS) {
+    const { tag, prefix } = set.players[slot];
+    state.players[slot] = {
+      ...createPlayer(),
+      tag: tag.slice(0, PLAYER_FIELD_MAX_LENGTH),
+      prefix: prefix.slice(0, PLAYER_FIELD_MAX_LENGTH)
+    };
+  }
+
+  state.startgg = {
+    setId: set.id,
+    round: set.round,
+    eventSlug: set.eventSlug,
+    videogameId: set.videogameId,
+    entrants: { P1: set.players.P1.entrantId, P2: set.players.P2.entrantId },
+    seeds: { P1: set.players.P1.seed, P2: set.players.P2.seed },
+    report: null             // {status: 'ok' | 'error', error, at}
+  };
+
+  matchStates.set(matchId, state);
+  publishMatch(matchId);
+  console.log(`🔗 Match ${matchId} linked to start.gg set ${set.id} (${set.round})`);
+  return state.startgg;
+}
+
+async function reportStartggSet(matchId) {
+  const state = matchStates.get(matchId);
+  const link = state?.startgg;
+  if (!link) {
+    throw new Error('Match is not linked to a start.gg set');
+  }
+  if (!state.set.winner) {
+    throw new Error('Set not finished');
+  }
+
+  const { setId, entrants } = link;
+  try {
+    const stageMap = await getStartggStageMap(getGame(getMatchVideogame(state)), link.videogameId);
+    const gameData = state.set.games.map(game => {
+      const data = { gameNum: game.game, winnerId: entrants[game.winner] };
+      if (game.stage && stageMap.has(game.stage)) {
+        data.stageId = stageMap.get(game.stage);
+      }
+      return data;
+    });
+
+    await startgg.reportSet({ setId, winnerId: entrants[state.set.winner], gameData });
+    link.report = { status: 'ok', error: null, at: Date.now() };
+    console.log(`📤 Reported start.gg set ${setId} for match ${matchId}`);
+  } catch (err) {
+    link.report = { status: 'error', error: err.message, at: Date.now() };
+    console.error(`❌ start.gg report failed for match ${matchId}:`, err.message);
+    throw err;
+  } finally {
+    // Only publish if the match still holds this link (it may have been reset)
+    if (matchStates.get(matchId)?.startgg === link) {
+      publishMatch(matchId);
+    }
+  }
+}
+
+// ============================================================================
+// OBS INTEGRATION
+// ============================================================================
+
+/**
+ * Optional obs-websocket v5 automation, read from OBS_CONFIG (see
+ * data/obs.example.json):
+ *
+ * {
+ *   "url": "ws://127.0.0.1:4455",
+ *   "password": "...",
+ *   "scenes":  { "stageSelect": "Stage Select", "gameplay": "Gameplay" },
+ *   "sources": { "stageName": "Stage Name", "stageImage": "Stage Image" },
+ *   "gameplayDelayMs": 3000,
+ *   "imageBase": "C:/smash-obs/public",
+ *   "matches": { "SET2": { "url": "ws://192.168.1.21:4455", "scenes": { ... } } }
+ * }
+ *
+ * - The first ban of a game switches to the stageSelect scene
+ * - The pick fills the stage name (text) and image sources, then switches to
+ *   the gameplay scene after gameplayDelayMs (so the overlay can show it)
+ * - The image source gets a file on the OBS machine: imageBase is where a
+ *   copy of public/ lives there. Without it, the server's own path is used
+ *   (only right when OBS runs on the same machine)
+ * - Every scene/source is optional; "matches" overrides the config per match
+ *
+ * OBS being closed or unreachable never blocks an action: errors are logged.
+ */
+
+function loadObsConfig() {
+  if (!fs.existsSync(OBS_CONFIG)) {
+    return null;
+  }
+
+  const config = JSON.parse(fs.readFileSync(OBS_CONFIG, 'utf8'));
+  console.log(`🎬 OBS integration enabled (${config.url || 'per-match'})`);
+  return config;
+}
+
+const obsConfig = loadObsConfig();
+
+// One client per OBS instance, shared by every match pointing at it
+const obsClients = new Map();
+
+function getObsMatchConfig(matchId) {
+  if (!obsConfig) {
+    return null;
+  }
+
+  const { matches = {}, ...defaults } = obsConfig;
+  const override = matches[matchId] || {};
+  const config = {
+    ...defaults,
+    ...override,
+    scenes: { ...defaults.scenes, ...override.scenes },
+    sources: { ...defaults.sources, ...override.sources }
+  };
+  return config.url ? config : null;
+}
+
+function getObsClient({ url, password }) {
+  if (!obsClients.has(url)) {
+    obsClients.set(url, createObsClient({ url, password }));
+  }
+  return obsClients.get(url);
+}
+
+// Stage image path as the OBS instance sees it (see imageBase above)
+function getObsStageImage({ imageBase }, game, stageId) {
+  if (!imageBase) {
+    return path.join(game.imageDir, `${stageId}.png`);
+  }
+  return `${imageBase.replace(/[\\/]+$/, '')}${game.assets}/${stageId}.png`;
+}
+
+async function handleObsEvent(matchId, event) {
+  const config = getObsMatchConfig(matchId);
+  if (!config) {
+    return;
+  }
+
+  const obs = getObsClient(config);
+  const { scenes, sources } = config;
+
+  if (event.type === 'BAN' && getState(matchId).bans.length === 1 && scenes.stageSelect) {
+    await obs.call('SetCurrentProgramScene', { sceneName: scenes.stageSelect });
+  }
+
+  if (event.type === 'PICK') {
+    const game = getGame(getMatchVideogame(getState(matchId)));
+    if (sources.stageName) {
+      await obs.call('SetInputSettings', {
+        inputName: sources.stageName,
+        inputSettings: { text: getStageName(game.id, event.stageId) }
+      });
+    }
+    if (sources.stageImage) {
+      await obs.call('SetInputSettings', {
+        inputName: sources.stageImage,
+        inputSettings: { file: getObsStageImage(config, game, event.stageId) }
+      });
+    }
+    if (scenes.gameplay) {
+      await new Promise(resolve => setTimeout(resolve, config.gameplayDelayMs || 0));
+      // Skip if the pick was undone while waiting
+      if (getState(matchId)?.pick === event.stageId) {
+        await obs.call('SetCurrentProgramScene', { sceneName: scenes.gameplay });
+      }
+    }
+  }
+}
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+/**
+ * Outgoing webhooks, registered through the admin API and saved in
+ * WEBHOOKS_FILE. A webhook without "match" gets every match; without
+ * "events" it gets every event:
+ *
+ * - BAN / PICK: a stage was banned or picked (also on REDO)
+ * - RESET:      the selection was reset
+ * - SET_MODE:   the mode changed (selection restarts)
+ * - DONE:       the selection reached its end (the stage is decided)
+ *
+ * Each delivery is a POST with a JSON body:
+ *
+ * { "id": "<delivery id>", "event": "PICK", "matchId": "SET1", "ts": 1700000000000,
+ *   "data": { "stageId": "ps2", "stageName": "Pokémon Stadium 2", "player": "P2", "playerTag": "Coyote" },
+ *   "state": { ...same as state:update } }
+ *
+ * signed with the webhook's secret in X-Smash-Signature
+ * ("sha256=" + hex HMAC-SHA256 of the raw body). Network errors, timeouts,
+ * 429 and 5xx are retried with exponential backoff; other responses are
+ * final. The last WEBHOOK_LOG_SIZE deliveries stay in memory as the log.
+ */
+
+const WEBHOOK_EVENTS = ['BAN', 'PICK', 'RESET', 'SET_MODE', 'DONE'];
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE_MS = 2000; // 2s, 4s, 8s, 16s
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_LOG_SIZE = 200;
+const WEBHOOK_ADMIN_LOG_SIZE = 50;
+
+function loadWebhooks() {
+  if (!fs.existsSync(WEBHOOKS_FILE)) {
+    return [];
+  }
+
+  const loaded = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
+  console.log(`🪝 ${loaded.length} webhook(s) registered`);
+  return loaded;
+}
+
+let webhooks = loadWebhooks();
+
+// Newest first
+const webhookDeliveries = [];
+
+function saveWebhooks() {
+  fs.mkdirSync(path.dirname(WEBHOOKS_FILE), { recursive: true });
+  const tmp = `${WEBHOOKS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(webhooks, null, 2));
+  fs.renameSync(tmp, WEBHOOKS_FILE);
+}
+
+// The secret is only shown once, when the webhook is created
+function getWebhookSummary({ secret, ...webhook }) {
+  return webhook;
+}
+
+// Admin dashboard: webhooks and the latest deliveries
+function getWebhooksView() {
+  return {
+    webhooks: webhooks.map(getWebhookSummary),
+    deliveries: webhookDeliveries.slice(0, WEBHOOK_ADMIN_LOG_SIZE)
+  };
+}
+
+function broadcastWebhooks() {
+  io.to('admin').emit('webhooks:update', getWebhooksView());
+}
+
+function handleCreateWebhook({ url, match = null, events = null, secret = null } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { ok: false, error: `Invalid webhook URL: ${url}` };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { ok: false, error: `Webhook URL must be http(s): ${url}` };
+  }
+
+  if (match !== null && match !== '') {
+    const error = validateMatchId(match);
+    if (error) {
+      return { ok: false, error };
+    }
+  }
+
+  if (events !== null && (!Array.isArray(events) || events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e)))) {
+    return { ok: false, error: `Invalid webhook events (allowed: ${WEBHOOK_EVENTS.join(', ')})` };
+  }
+
+  if (secret !== null && (typeof secret !== 'string' || !secret)) {
+    return { ok: false, error: 'Invalid webhook secret' };
+  }
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    url: parsed.href,
+    match: match ? match.trim() : null,
+    events: events ? [...new Set(events)] : null,
+    secret: secret || crypto.randomBytes(24).toString('hex'),
+    createdAt: Date.now()
+  };
+  webhooks.push(webhook);
+  saveWebhooks();
+  broadcastWebhooks();
+  console.log(`🪝 Webhook added: ${webhook.url} (${webhook.match || 'all matches'})`);
+  return { ok: true, webhook };
+}
+
+function handleDeleteWebhook(id) {
+  if (!webhooks.some(w => w.id === id)) {
+    return { ok: false, error: `Webhook not found: ${id}` };
+  }
+
+  webhooks = webhooks.filter(w => w.id !== id);
+  saveWebhooks();
+  broadcastWebhooks();
+  return { ok: true };
+}
+
+// Newest first; ?webhook=, ?match=, ?status= and ?limit=
+function queryWebhookDeliveries({ webhook, match, status, limit } = {}) {
+  return webhookDeliveries
+    .filter(d => !webhook || d.webhookId === webhook)
+    .filter(d => !match || d.matchId === match)
+    .filter(d => !status || d.status === status)
+    .slice(0, Number(limit) || WEBHOOK_LOG_SIZE);
+}
+
+function signWebhookBody(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Picks the webhook events an action produced (see the list above)
+function handleWebhookEvents(matchId, type, event, prevPhase) {
+  const state = getState(matchId);
+
+  if (event?.type === 'BAN' || event?.type === 'PICK') {
+    sendWebhooks(matchId, event.type, {
+      stageId: event.stageId,
+      stageName: getStageName(getMatchVideogame(state), event.stageId),
+      player: event.player || null,
+      playerTag: event.player ? getPlayerName(state, event.player) : null
+    });
+  }
+
+  if (type === 'RESET') {
+    sendWebhooks(matchId, 'RESET', {});
+  } else if (type === 'SET_MODE') {
+    sendWebhooks(matchId, 'SET_MODE', { mode: state.mode });
+  }
+
+  if (prevPhase !== PHASES.DONE && getPhase(state) === PHASES.DONE) {
+    sendWebhooks(matchId, 'DONE', {
+      stageId: state.pick,
+      stageName: state.pick ? getStageName(getMatchVideogame(state), state.pick) : null,
+      game: state.set.games.length + 1
+    });
+  }
+}
+
+function sendWebhooks(matchId, event, data) {
+  const targets = webhooks.filter(w =>
+    (!w.match || w.match === matchId) && (!w.events || w.events.includes(event))
+  );
+  if (targets.length === 0) {
+    return;
+  }
+
+  const state = getComputedState(matchId);
+  for (const webhook of targets) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, matchId, ts: Date.now(), data, state });
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      url: webhook.url,
+      event,
+      matchId,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: null,
+      createdAt: Date.now()
+    };
+
+    webhookDeliveries.unshift(delivery);
+    webhookDeliveries.length = Math.min(webhookDeliveries.length, WEBHOOK_LOG_SIZE);
+    attemptDelivery(delivery, webhook, body);
+  }
+  broadcastWebhooks();
+}
+
+async function attemptDelivery(delivery, webhook, body) {
+  const attempt = { ts: Date.now(), status: null, error: null, durationMs: 0 };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'smash-obs-api',
+        'X-Smash-Event': delivery.event,
+        'X-Smash-Delivery': delivery.id,
+        'X-Smash-Signature': signWebhookBody(webhook.secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    attempt.status = response.status;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    attempt.error = err.name === 'TimeoutError' ? 'Timed out' : err.cause?.message || err.message;
+  }
+
+  attempt.durationMs = Date.now() - attempt.ts;
+  delivery.attempts.push(attempt);
+  delivery.nextAttemptAt = null;
+
+  const retryable = !attempt.status || attempt.status === 429 || attempt.status >= 500;
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+  } else if (retryable && delivery.attempts.length < WEBHOOK_MAX_ATTEMPTS && webhooks.includes(webhook)) {
+    const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = Date.now() + delay;
+    setTimeout(() => attemptDelivery(delivery, webhook, body), delay);
+  } else {
+    delivery.status = 'failed';
+    console.warn(`⚠️  Webhook ${delivery.event} [${delivery.matchId}] -> ${webhook.url}: ${attempt.error}`);
+  }
+  broadcastWebhooks();
+}
+
+// ============================================================================
+// EXPRESS ROUTES
+// ============================================================================
+
+// Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Parse JSON bodies (REST actions)
+app.use(express.json());
+
+// Malformed JSON gets the usual {ok, code, error} answer, not the HTML page
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') {
+    return next(err);
+  }
+  res.status(400).json({ ok: false, code: ERROR_CODES.INVALID_INPUT, error: 'Invalid JSON body' });
+});
+
 // Redirects for cleaner URLs
 app.get('/control', (req, res) => res.redirect('/control/'));
 app.get('/overlay', (req, res) => res.redirect('/overlay/'));
+app.get('/admin', (req, res) => res.redirect('/admin/'));
+app.get('/stats', (req, res) => res.redirect('/stats/'));
 
 // Health check
 app.get('/health', (req, res) => res.send('OK'));
 
-// API: Get stages
+// Resolves the :game of a route to its profile (req.game)
+function requireGame(req, res, next) {
+  req.game = getGame(req.params.game);
+  if (!req.game) {
+    return res.status(404).json({ ok: false, error: `Game not found: ${req.params.game}` });
+  }
+  next();
+}
+
+// API: Game profiles, DEFAULT_GAME first (preselected in pickers)
+app.get('/api/games', (req, res) => {
+  const list = [...games.values()].sort((a, b) => (b.id === DEFAULT_GAME) - (a.id === DEFAULT_GAME));
+  res.json(list.map(getGameInfo));
+});
+
+// API: A game's profile with its stage catalog (what control and overlay load)
+app.get('/api/games/:game', requireGame, (req, res) => {
+  res.json({ ...getGameInfo(req.game), stages: req.game.stages });
+});
+
+app.get('/api/games/:game/stages', requireGame, (req, res) => {
+  res.json(req.game.stages);
+});
+
+// API: Stages of the default game (kept for existing tools)
 app.get('/api/stages', (req, res) => {
-  res.json(stages);
+  res.json(getGame(DEFAULT_GAME).stages);
+});
+
+// API: Get rulesets
+app.get('/api/rulesets', (req, res) => {
+  res.json([...rulesets.values()]);
+});
+
+// API: Available UI locales
+app.get('/api/locales', (req, res) => {
+  res.json([...locales.values()].map(({ id, name }) => ({ id, name })));
+});
+
+// API: A locale's strings (missing ones filled from the fallback locale)
+app.get('/api/locales/:id', (req, res) => {
+  if (!locales.has(req.params.id)) {
+    return res.status(404).json({ ok: false, error: `Locale not found: ${req.params.id}` });
+  }
+  const { id, name } = locales.get(req.params.id);
+  res.json({ id, name, strings: getLocaleStrings(id) });
 });
 
 // API: Get state for match
 app.get('/api/state', (req, res) => {
   const matchId = req.query.match || 'default';
+  if (!matchStates.has(matchId)) {
+    return res.status(404).json({ ok: false, error: `Match not found: ${matchId}` });
+  }
   res.json(getComputedState(matchId));
 });
 
+// Access for an HTTP request: "Authorization: Bearer <token>" or ?token=
+function getHttpAccess(req) {
+  const bearer = req.get('authorization')?.replace(/^Bearer\s+/i, '');
+  return resolveAccess(bearer || req.query.token);
+}
+
+// Admin endpoints are arbiter-only. A token limited to one match only gets
+// the routes of that match (:id); the global ones (match list, catalogs,
+// webhooks...) need an unrestricted arbiter token
+function requireArbiter(req, res, next) {
+  const access = getHttpAccess(req);
+  if (access.role !== 'arbiter') {
+    return res.status(403).json({ ok: false, error: 'Arbiter access required' });
+  }
+  if (access.match && access.match !== req.params.id) {
+    return res.status(403).json({ ok: false, error: `Not allowed: token limited to match ${access.match}` });
+  }
+  next();
+}
+
+// API: List active matches (admin dashboard)
+app.get('/api/matches', requireArbiter, (req, res) => {
+  res.json(listMatches());
+});
+
+// API: Create a match ({ "id": "SET1", "videogame": "melee", "ruleset": "melee-singles", "bestOf": 3 })
+app.post('/api/matches', requireArbiter, (req, res) => {
+  const { id, videogame, ruleset, bestOf } = req.body || {};
+  const result = handleCreateMatch(id, { videogame, ruleset, bestOf });
+  res.status(result.ok ? 201 : 400).json(result);
+});
+
+// API: Ban/pick statistics (?videogame=, ?ruleset=, ?since=<ms>; ?download=1 saves the JSON)
+app.get('/api/stats', (req, res) => {
+  if (req.query.download) {
+    res.attachment('stats.json');
+  }
+  res.json(getStats(req.query));
+});
+
+// API: CSV export (stages, players or games)
+app.get('/api/stats/:table.csv', (req, res) => {
+  if (!STATS_TABLES.includes(req.params.table)) {
+    return res.status(404).json({ ok: false, error: `Unknown stats table: ${req.params.table}` });
+  }
+  res.attachment(`stats-${req.params.table}.csv`);
+  res.type('text/csv').send(getStatsCsv(req.params.table, req.query));
+});
+
+// API: Archived (finished) sets, newest first
+app.get('/api/archive', requireArbiter, (req, res) => {
+  res.json({ ok: true, sets: queryArchive(req.query) });
+});
+
+app.get('/api/archive/:id', requireArbiter, (req, res) => {
+  const record = archivedSets.find(r => r.id === req.params.id);
+  if (!record) {
+    return res.status(404).json({ ok: false, error: `Archived set not found: ${req.params.id}` });
+  }
+  res.json({ ok: true, set: record });
+});
+
+// API: Outgoing webhooks ({ "url": "https://...", "match": "SET1", "events": ["PICK"] })
+app.get('/api/webhooks', requireArbiter, (req, res) => {
+  res.json({ ok: true, webhooks: webhooks.map(getWebhookSummary), events: WEBHOOK_EVENTS });
+});
+
+app.post('/api/webhooks', requireArbiter, (req, res) => {
+  const result = handleCreateWebhook(req.body);
+  res.status(result.ok ? 201 : 400).json(result);
+});
+
+app.delete('/api/webhooks/:id', requireArbiter, (req, res) => {
+  const result = handleDeleteWebhook(req.params.id);
+  res.status(result.ok ? 200 : 404).json(result);
+});
+
+// API: Webhook delivery log, newest first (?webhook=, ?match=, ?status=, ?limit=)
+app.get('/api/webhooks/deliveries', requireArbiter, (req, res) => {
+  res.json({ ok: true, deliveries: queryWebhookDeliveries(req.query) });
+});
+
+// API: Delete a match
+app.delete('/api/matches/:id', requireArbiter, (req, res) => {
+  const result = handleDeleteMatch(req.params.id);
+  if (result.ok) {
+    broadcastMatches();
+  }
+  res.status(result.ok ? 200 : 404).json(result);
+});
+
+// API: Rename a match
+app.post('/api/matches/:id/rename', requireArbiter, (req, res) => {
+  // The new name would fall outside a match-limited token
+  if (getHttpAccess(req).match) {
+    return res.status(403).json({ ok: false, error: 'Renaming needs an unrestricted arbiter token' });
+  }
+
+  const result = handleRenameMatch(req.params.id, req.body?.to);
+  if (result.ok) {
+    broadcastMatches();
+  }
+  res.status(result.ok ? 200 : 400).json(result);
+});
+
+// API: Stage catalog of a game (admin dashboard)
+app.post('/api/games/:game/stages', requireArbiter, requireGame, (req, res) => {
+  const result = handleCreateStage(req.game, req.body);
+  res.status(result.ok ? 201 : 400).json(result);
+});
+
+app.put('/api/games/:game/stages/order', requireArbiter, requireGame, (req, res) => {
+  const result = handleReorderStages(req.game, req.body?.ids);
+  res.status(result.ok ? 200 : 400).json(result);
+});
+
+app.patch('/api/games/:game/stages/:id', requireArbiter, requireGame, (req, res) => {
+  const result = handleUpdateStage(req.game, req.params.id, req.body);
+  res.status(result.ok ? 200 : 400).json(result);
+});
+
+app.delete('/api/games/:game/stages/:id', requireArbiter, requireGame, (req, res) => {
+  const result = handleDeleteStage(req.game, req.params.id);
+  res.status(result.ok ? 200 : 400).json(result);
+});
+
+// Upload the raw PNG as the body: curl -X PUT -H "Content-Type: image/png" --data-binary @bf.png
+app.put('/api/games/:game/stages/:id/image', requireArbiter, requireGame, express.raw({ type: 'image/png', limit: STAGE_IMAGE_MAX_SIZE }), (req, res) => {
+  const result = handleStageImage(req.game, req.params.id, req.body);
+  res.status(result.ok ? 200 : 400).json(result);
+});
+
+// API: List an event's sets from start.gg (?event=tournament/x/event/y)
+app.get('/api/startgg/sets', requireArbiter, async (req, res) => {
+  if (!req.query.event) {
+    return res.status(400).json({ ok: false, error: 'Missing event slug' });
+  }
+
+  try {
+    const event = await startgg.getEventSets(req.query.event);
+    res.json({ ok: true, event });
+  } catch (err) {
+    res.status(502).json({ ok: false, error: err.message });
+  }
+});
+
+// API: Link a start.gg set to a match
+app.post('/api/matches/:id/startgg', requireArbiter, async (req, res) => {
+  if (!req.body?.setId) {
+    return res.status(400).json({ ok: false, error: 'Missing setId' });
+  }
+
+  try {
+    const startggLink = await assignStartggSet(req.params.id, String(req.body.setId));
+    res.json({ ok: true, startgg: startggLink });
+  } catch (err) {
+    res.status(502).json({ ok: false, error: err.message });
+  }
+});
+
+// API: (Re)send a finished set's result to start.gg
+app.post('/api/matches/:id/startgg/report', requireArbiter, async (req, res) => {
+  const state = matchStates.get(req.params.id);
+  if (!state?.startgg) {
+    return res.status(400).json({ ok: false, error: 'Match is not linked to a start.gg set' });
+  }
+  if (!state.set.winner) {
+    return res.status(400).json({ ok: false, error: 'Set not finished' });
+  }
+
+  try {
+    await reportStartggSet(req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(502).json({ ok: false, error: err.message });
+  }
+});
+
+// API: Get state for match (REST style)
+app.get('/api/matches/:id', (req, res) => {
+  if (!matchStates.has(req.params.id)) {
+    return res.status(404).json({ ok: false, error: `Match not found: ${req.params.id}` });
+  }
+  res.json(getComputedState(req.params.id));
+});
+
+// API: Live match events as Server-Sent Events. Like a Socket.IO join, an
+// unknown match stays open and gets its state once it's created
+app.get('/api/matches/:id/stream', (req, res) => {
+  const matchId = req.params.id;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would hold events back
+    'Access-Control-Allow-Origin': CORS_ORIGIN
+  });
+  res.flushHeaders();
+
+  res.locals.matchId = matchId;
+  addSseClient(matchId, res);
+  if (matchStates.has(matchId)) {
+    writeSse(res, 'state:update', getComputedState(matchId));
+  } else {
+    writeSse(res, 'match:notFound', { matchId });
+  }
+  console.log(`📡 SSE client joined match: ${matchId}`);
+  broadcastMatches();
+
+  // The stream may have followed a rename, so read the ID back from it
+  req.on('close', () => {
+    removeSseClient(res.locals.matchId, res);
+    broadcastMatches();
+  });
+});
+
+// API: Flat, field-stable match data for polling (vMix / H2R data sources)
+app.get('/api/matches/:id/feed', (req, res) => {
+  res.set('Access-Control-Allow-Origin', CORS_ORIGIN);
+  if (!matchStates.has(req.params.id)) {
+    return res.status(404).json({ ok: false, error: `Match not found: ${req.params.id}` });
+  }
+  res.json(getMatchFeed(req.params.id, `${req.protocol}://${req.get('host')}`));
+});
+
+// HTTP status for a failed action by error code (anything else is a 400)
+const ACTION_HTTP_STATUS = {
+  [ERROR_CODES.MATCH_NOT_FOUND]: 404,
+  [ERROR_CODES.FORBIDDEN]: 403,
+  [ERROR_CODES.NOT_YOUR_TURN]: 403,
+  [ERROR_CODES.STALE_STATE]: 409
+};
+
+/**
+ * API: Run an action on a match (Stream Deck / Companion / scripts)
+ *
+ *   POST /api/matches/SET1/actions        { "type": "BAN", "stageId": "battlefield" }
+ *   POST /api/matches/SET1/actions/UNDO
+ *   POST /api/matches/SET1/actions/PICK?stageId=ps2
+ *
+ * Fields can come from the JSON body or the query string, so simple HTTP
+ * buttons that can't send a body still work. Responds with the same answer
+ * the socket sends (see dispatchAction); the HTTP status follows its code.
+ *
+ * With access control on, pass the token as "Authorization: Bearer <token>"
+ * or ?token=<token>.
+ */
+function handleHttpAction(req, res) {
+  const payload = { ...req.query, ...req.body };
+  if (req.params.type) {
+    payload.type = req.params.type;
+  }
+  if (typeof payload.bestOf === 'string') {
+    payload.bestOf = Number(payload.bestOf);
+  }
+  if (typeof payload.index === 'string') {
+    payload.index = Number(payload.index);
+  }
+  if (typeof payload.version === 'string') {
+    payload.version = Number(payload.version);
+  }
+
+  const response = dispatchAction(getHttpAccess(req), req.params.id, payload);
+  res.status(response.ok ? 200 : ACTION_HTTP_STATUS[response.code] || 400).json(response);
+}
+
+app.post('/api/matches/:id/actions', handleHttpAction);
+app.post('/api/matches/:id/actions/:type', handleHttpAction);
+
 // ============================================================================
 // SOCKET.IO
 // ============================================================================
 
 io.on('connection', (socket) => {
-  console.log(`🔌 Client connected: ${socket.id}`);
+  const access = resolveAccess(socket.handshake.auth?.token, socket.handshake.auth?.seat);
+  console.log(`🔌 Client connected: ${socket.id} (${access.role})`);
 
   let currentMatchId = null;
 
-  // Join a match room
-  socket.on('join', ({ matchId }) => {
+  // Anyone can emit anything: a payload that isn't an object is answered
+  // with INVALID_INPUT (acknowledgement or action:result) and goes no further
+  function isValidPayload(type, payload, ack) {
+    if (payload && typeof payload === 'object') {
+      return true;
+    }
+
+    const response = {
+      requestId: null,
+      type,
+      ok: false,
+      code: ERROR_CODES.INVALID_INPUT,
+      error: `Invalid ${type} payload`,
+      version: null
+    };
+    if (typeof ack === 'function') {
+      ack(response);
+    } else {
+      socket.emit('action:result', response);
+    }
+    return false;
+  }
+
+  // Join a match room (client: 'control' or 'overlay', for the admin dashboard)
+  socket.on('join', (payload, ack) => {
+    if (!isValidPayload('join', payload, ack)) {
+      return;
+    }
+    let { matchId, client } = payload;
     matchId = matchId || 'default';
+    if (currentMatchId && currentMatchId !== matchId) {
+      socket.leave(currentMatchId);
+    }
     currentMatchId = matchId;
+    socket.data.matchId = matchId;
+    socket.data.client = client;
 
     socket.join(matchId);
     console.log(`👤 ${socket.id} joined match: ${matchId}`);
 
-    // Send current state
-    socket.emit('state:update', getComputedState(matchId));
+    // Tell the client what it may do, then send current state. Unknown
+    // matches stay joined, so the client gets the state once it's created
+    socket.emit('access', { role: access.role, player: access.player });
+    if (matchStates.has(matchId)) {
+      socket.emit('state:update', getComputedState(matchId));
+    } else {
+      socket.emit('match:notFound', { matchId });
+    }
+    broadcastMatches();
   });
 
-  // Handle actions
-  socket.on('action', ({ matchId, type, stageId, mode }) => {
-    matchId = matchId || currentMatchId || 'default';
-    const state = getState(matchId);
+  // Arbiter creates the match the client asked for (control "Crear partida").
+  // The answer ({ok, matchId} or {ok: false, error}) goes to the
+  // acknowledgement callback when there is one, else errors are emitted as
+  // match:error
+  socket.on('match:create', (payload, ack) => {
+    if (!isValidPayload('match:create', payload, ack)) {
+      return;
+    }
+    const { matchId, videogame } = payload;
+    const result = access.role !== 'arbiter' || (access.match && access.match !== matchId)
+      ? { ok: false, error: 'Arbiter access required' }
+      : handleCreateMatch(matchId, { videogame });
+
+    if (typeof ack === 'function') {
+      ack(result);
+    } else if (!result.ok) {
+      socket.emit('match:error', { error: result.error });
+    }
+  });
 
-    let result;
-
-    switch (type) {
-      case 'BAN':
-        result = handleBan(state, stageId);
-        break;
-      case 'PICK':
-        result = handlePick(state, stageId);
-        break;
-      case 'UNDO':
-        result = handleUndo(state);
-        break;
-      case 'RESET':
-        console.log(`🔄 RESET requested for match: ${matchId}`);
-        result = handleReset(matchId);
-        console.log(`🔄 RESET applied. New state:`, getComputedState(matchId));
-        break;
-      case 'SET_MODE':
-        result = handleSetMode(state, mode);
-        if (result.ok && result.newState) {
-          matchStates.set(matchId, result.newState);
-        }
-        break;
-      case 'FORCE_NEXT_PHASE':
-        result = handleForceNextPhase(state);
-        break;
-      default:
-        result = { ok: false, error: `Unknown action: ${type}` };
+  // Admin dashboard: live list of every match
+  socket.on('admin:join', () => {
+    if (access.role !== 'arbiter' || access.match) {
+      socket.emit('admin:error', { error: 'Arbiter access required' });
+      return;
     }
 
-    // Send result to sender
-    socket.emit('action:result', { type, ok: result.ok, error: result.error });
+    socket.join('admin');
+    socket.emit('matches:update', listMatches());
+    socket.emit('webhooks:update', getWebhooksView());
+  });
+
+  // Handle actions. The answer goes to the acknowledgement callback when the
+  // client passes one (socket.emit('action', payload, callback)), else it's
+  // emitted as action:result
+  socket.on('action', (payload, ack) => {
+    if (!isValidPayload('action', payload, ack)) {
+      return;
+    }
+    const matchId = payload.matchId || currentMatchId || 'default';
+    const response = dispatchAction(access, matchId, payload);
 
-    // If successful, broadcast state update to all in room
-    if (result.ok) {
-      io.to(matchId).emit('state:update', getComputedState(matchId));
+    if (typeof ack === 'function') {
+      ack(response);
+    } else {
+      socket.emit('action:result', response);
+    }
 
-      // Also emit event for overlays (BAN/PICK only)
-      if (result.event) {
-        io.to(matchId).emit('event:push', result.event);
-      }
+    // A stale client also gets the state it missed
+    if (response.code === ERROR_CODES.STALE_STATE) {
+      socket.emit('state:update', getComputedState(matchId));
     }
+  });
 
-    console.log(`⚡ Action [${matchId}]: ${type} ${stageId || mode || ''} -> ${result.ok ? 'OK' : result.error}`);
+  // Client asks for the current state again (e.g. after waking from sleep)
+  socket.on('resync', () => {
+    if (currentMatchId && matchStates.has(currentMatchId)) {
+      socket.emit('state:update', getComputedState(currentMatchId));
+    }
   });
 
   socket.on('disconnect', () => {
     console.log(`❌ Client disconnected: ${socket.id}`);
+    if (currentMatchId) {
+      broadcastMatches();
+    }
   });
 });
 
@@ -391,6 +3385,10 @@ io.on('connection', (socket) => {
 // START SERVER
 // ============================================================================
 
+loadMatches();
+expireIdleMatches();
+setInterval(expireIdleMatches, EXPIRY_SWEEP_MS);
+
 httpServer.listen(PORT, HOST, () => {
   const lanIP = getLanIP();
 
@@ -401,8 +3399,9 @@ httpServer.listen(PORT, HOST, () => {
   console.log(``);
   console.log(`   Control: http://${lanIP}:${PORT}/control/?match=TEST`);
   console.log(`   Overlay: http://${lanIP}:${PORT}/overlay/?match=TEST`);
+  console.log(`   Admin:   http://${lanIP}:${PORT}/admin/`);
   console.log(``);
-  console.log(`   API:     http://localhost:${PORT}/api/stages`);
+  console.log(`   API:     http://localhost:${PORT}/api/games`);
   console.log(`   Health:  http://localhost:${PORT}/health`);
   console.log(``);
   console.log(`   💡 Tablet: Open the LAN Control URL on your tablet`);